@@ -1,5 +1,10 @@
 (function (globalScope) {
     const CURRENT_WEEKEND_GRACE_MS = 6 * 60 * 60 * 1000;
+    // Major version of the public/data contracts in schemas/; a bump means old readers must not guess.
+    const SUPPORTED_SCHEMA_MAJOR = 1;
+    const sessionClassifier = typeof module !== 'undefined' && module.exports
+        ? require('./session-classifier.js')
+        : globalScope.F1SessionClassifier;
 
     function parseTimestamp(value) {
         const timestamp = Date.parse(value || '');
@@ -37,7 +42,55 @@
             .trim();
     }
 
-    function grandPrixNamesMatch(left, right, year) {
+    // URL segment of a weekend's page: 'Dutch Grand Prix' -> /gp/<year>/dutch/.
+    function getGrandPrixSlug(name, year) {
+        return normalizeGrandPrixName(name, year).replace(/ /g, '-');
+    }
+
+    // One season of public/data/grand-prix-aliases.json: { "<calendar name>": ["variant", "#HashtagGP", ...] }.
+    function getSeasonAliases(aliasData, year) {
+        const season = aliasData && typeof aliasData === 'object' && aliasData.seasons
+            ? aliasData.seasons[String(year)]
+            : null;
+        return season && typeof season === 'object' ? season : {};
+    }
+
+    /**
+     * The calendar name a title or weekend name refers to through the alias table,
+     * or null. Names are matched as whole words, so sponsor prefixes do not matter,
+     * and the longest variant wins; hashtags only count when no name matched.
+     */
+    function resolveGrandPrixAlias(text, seasonAliases, year) {
+        const raw = String(text || '');
+        const paddedText = ` ${normalizeGrandPrixName(raw, year)} `;
+        const hashtags = new Set((raw.match(/#[a-z0-9]+/gi) || []).map((tag) => tag.toLowerCase()));
+        let byName = null;
+        let byHashtag = null;
+
+        Object.entries(seasonAliases || {}).forEach(([calendarName, variants]) => {
+            [calendarName, ...(Array.isArray(variants) ? variants : [])].forEach((variant) => {
+                if (String(variant).startsWith('#')) {
+                    if (!byHashtag && hashtags.has(String(variant).toLowerCase())) byHashtag = calendarName;
+                    return;
+                }
+                const name = normalizeGrandPrixName(variant, year);
+                if (name && paddedText.includes(` ${name} `) && (!byName || name.length > byName.length)) {
+                    byName = { calendarName, length: name.length };
+                }
+            });
+        });
+
+        return byName ? byName.calendarName : byHashtag;
+    }
+
+    // With a season's aliases, names that both resolve must resolve to the same entry.
+    function grandPrixNamesMatch(left, right, year, seasonAliases) {
+        if (seasonAliases) {
+            const leftEntry = resolveGrandPrixAlias(left, seasonAliases, year);
+            const rightEntry = resolveGrandPrixAlias(right, seasonAliases, year);
+            if (leftEntry && rightEntry) return leftEntry === rightEntry;
+        }
+
         const leftName = normalizeGrandPrixName(left, year);
         const rightName = normalizeGrandPrixName(right, year);
 
@@ -53,34 +106,29 @@
         return smaller.length > 0 && smaller.every(token => larger.has(token));
     }
 
-    function getCanonicalSessionType(title) {
-        const normalizedTitle = String(title || '').toLowerCase();
-
-        if (normalizedTitle.includes('fp1')) return 'fp1';
-        if (normalizedTitle.includes('fp2')) return 'fp2';
-        if (normalizedTitle.includes('fp3')) return 'fp3';
-        if (normalizedTitle.includes('shootout')) return 'sprint-qualifying';
-        if (normalizedTitle.includes('sprint') && (normalizedTitle.includes('qualifying') || normalizedTitle.includes('quali'))) {
-            return 'sprint-qualifying';
-        }
-        if (normalizedTitle.includes('sprint') && !normalizedTitle.includes('quali')) return 'sprint';
-        if (normalizedTitle.includes('qualifying') || normalizedTitle.includes('quali')) return 'qualifying';
-        if (normalizedTitle.includes('race')) return 'race';
-        if (normalizedTitle.includes('grand prix') && !normalizedTitle.includes('practice')) return 'race';
-
-        return 'other';
+    // Canonical session of a stored video: the `session` the fetchers wrote, else worked out here.
+    function getVideoSession(video) {
+        return video?.session || sessionClassifier.getVideoSessionType(video);
     }
 
-    function sessionMatchesVideo(sessionTitle, videoTitle) {
-        const sessionType = getCanonicalSessionType(sessionTitle);
-        const videoType = getCanonicalSessionType(videoTitle);
+    // `video` is a video record (see getVideoSession) or a bare title.
+    function sessionMatchesVideo(sessionTitle, video) {
+        const sessionType = sessionClassifier.getSessionType(sessionTitle);
+        const videoType = video && typeof video === 'object'
+            ? getVideoSession(video)
+            : sessionClassifier.getSessionType(video);
         return sessionType !== 'other' && sessionType === videoType;
     }
 
-    function findMatchingVideoWeekend(calendarWeekend, videoWeekends, year) {
+    // Joins on the calendarName the fetchers stamp; files without it fall back to name matching.
+    function findMatchingVideoWeekend(calendarWeekend, videoWeekends, year, seasonAliases) {
         const safeVideoWeekends = Array.isArray(videoWeekends) ? videoWeekends : [];
+        const byKey = safeVideoWeekends.find((videoWeekend) => (
+            videoWeekend?.calendarName && videoWeekend.calendarName === calendarWeekend?.name
+        ));
+        if (byKey) return byKey;
         return safeVideoWeekends.find((videoWeekend) => (
-            grandPrixNamesMatch(calendarWeekend?.name, videoWeekend?.name, year)
+            !videoWeekend?.calendarName && grandPrixNamesMatch(calendarWeekend?.name, videoWeekend?.name, year, seasonAliases)
         )) || null;
     }
 
@@ -144,18 +192,46 @@
         };
     }
 
+    /**
+     * Throw when a data file declares a schemaVersion this page does not understand.
+     * Files written before schemaVersion existed carry none and are read as 1.x.
+     */
+    function assertSupportedSchema(data, label = 'data file') {
+        const version = data && typeof data === 'object' && !Array.isArray(data) ? data.schemaVersion : undefined;
+        if (version === undefined) return;
+        const major = Number(String(version).split('.')[0]);
+        if (major !== SUPPORTED_SCHEMA_MAJOR) {
+            const err = new Error(`${label} has schemaVersion ${version}; only ${SUPPORTED_SCHEMA_MAJOR}.x is supported`);
+            err.code = 'UNSUPPORTED_SCHEMA_VERSION';
+            throw err;
+        }
+    }
+
+    // calendarYYYY.json is { schemaVersion, year, weekends }; older copies are a bare array.
+    function readCalendarEntries(data, label = 'calendar') {
+        assertSupportedSchema(data, label);
+        if (Array.isArray(data)) return data;
+        return Array.isArray(data?.weekends) ? data.weekends : [];
+    }
+
     const api = {
+        assertSupportedSchema,
         buildHomepageSections,
         CURRENT_WEEKEND_GRACE_MS,
         classifyWeekend,
         findMatchingVideoWeekend,
-        getCanonicalSessionType,
+        getGrandPrixSlug,
+        getSeasonAliases,
+        getVideoSession,
         getWeekendBounds,
         grandPrixNamesMatch,
         normalizeGrandPrixName,
         orderWeekendsByStart,
         parseTimestamp,
-        sessionMatchesVideo
+        readCalendarEntries,
+        resolveGrandPrixAlias,
+        sessionMatchesVideo,
+        SUPPORTED_SCHEMA_MAJOR
     };
 
     if (typeof module !== 'undefined' && module.exports) {
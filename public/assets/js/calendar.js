@@ -3,13 +3,18 @@ const scriptYear = script?.dataset?.year || '2025';
 const scriptIcsFile = script?.dataset?.icsFile || `f1-calendar_${scriptYear}.ics`;
 const scriptView = script?.dataset?.view || 'timeline';
 const scriptSource = script?.dataset?.source || 'current';
+// Pages outside the site root (public/gp/...) point these at absolute paths
+const scriptDataBase = script?.dataset?.dataBase || 'data/';
+const scriptGrandPrix = script?.dataset?.grandPrix || '';
 const calendarState = window.F1CalendarState || null;
+const sessionClassifier = window.F1SessionClassifier || null;
+const regionRestriction = window.F1RegionRestriction || null;
 
 const addDataPrefix = (file) => {
     if (!file) return file;
-    if (/^(https?:)?\/\//.test(file)) return file;
+    if (/^(https?:)?\/\//.test(file) || file.startsWith('/')) return file;
     if (file.startsWith('data/')) return file;
-    return `data/${file}`;
+    return `${scriptDataBase}${file}`;
 };
 
 // Country flag mapping
@@ -46,6 +51,7 @@ class F1Calendar {
         this.icsFile = addDataPrefix(scriptIcsFile);
         this.viewMode = scriptView;
         this.dataSource = scriptSource;
+        this.grandPrixName = scriptGrandPrix;
 
         this.timelineContainer = document.getElementById('calendarTimeline');
         this.loading = document.getElementById('calendarLoading');
@@ -58,6 +64,7 @@ class F1Calendar {
         this.upcomingSection = document.getElementById('upcomingSchedule');
         this.upcomingCards = document.getElementById('upcomingGPCards');
         this.offSeasonState = document.getElementById('offSeasonState');
+        this.gpPageCard = document.getElementById('gpPageCard');
         this.sidebarCalendar = document.getElementById('sidebarCalendar');
         this.seasonSnapshot = document.getElementById('seasonSnapshot');
         this.seasonProgress = document.getElementById('seasonProgress');
@@ -74,6 +81,7 @@ class F1Calendar {
 
         this.calendarWeekends = [];
         this.videoWeekends = [];
+        this.grandPrixAliases = {};
         this.mergedWeekends = [];
         this.completedGPs = [];
         this.currentGPs = [];
@@ -84,6 +92,9 @@ class F1Calendar {
         this.standingsTabsBound = false;
         this.displayedCount = 0;
         this.itemsPerPage = 6;
+        this.archiveSort = 'session';
+        this.showExtras = this.readShowExtras();
+        this.regionCountry = this.resolveRegionCountry();
         this.userTimeZone = this.getUserTimeZone();
         this.liveStatus = document.getElementById('a11yLiveStatus');
         this.lastCountdownAnnouncement = '';
@@ -111,7 +122,7 @@ class F1Calendar {
                 return;
             }
 
-            const initTasks = [this.loadCalendar(), this.loadVideos()];
+            const initTasks = [this.loadCalendar(), this.loadVideos(), this.loadAliases()];
             if (this.standingsSection) {
                 initTasks.push(this.loadStandings());
             }
@@ -126,6 +137,14 @@ class F1Calendar {
                 this.renderStandings();
                 this.hideLoading();
                 this.setupDrawer();
+                this.setupExtrasToggle();
+                this.setupRegionSelect();
+            } else if (this.viewMode === 'grandprix') {
+                this.renderGrandPrixPage();
+                this.hideLoading();
+                this.setupDrawer();
+                this.setupExtrasToggle();
+                this.setupRegionSelect();
             } else if (this.viewMode === 'list') {
                 this.renderListView();
                 this.setupCountdown();
@@ -136,6 +155,8 @@ class F1Calendar {
                 if (this.dataSource === 'archive') {
                     this.renderAllItems();
                     this.setupArchiveControls();
+                    this.setupExtrasToggle();
+                    this.setupRegionSelect();
                 } else {
                     this.setupInfiniteScroll();
                     this.renderBatch();
@@ -220,6 +241,9 @@ class F1Calendar {
                 this.renderSeasonProgress();
                 this.renderStandings();
                 this.setupDrawer();
+            } else if (this.viewMode === 'grandprix') {
+                this.renderGrandPrixPage();
+                this.setupDrawer();
             } else if (this.viewMode === 'list') {
                 this.renderListView();
                 this.setupCountdown();
@@ -242,8 +266,124 @@ class F1Calendar {
         this.previousYearWeekends = [];
     }
 
+    readShowExtras() {
+        try {
+            return localStorage.getItem('showExtras') === 'true';
+        } catch (_) {
+            return false;
+        }
+    }
+
+    // Extras (onboards, team radio, ...) stay out of the way unless the user opts in
+    setupExtrasToggle() {
+        const toggle = document.getElementById('showExtrasToggle');
+        if (!toggle) return;
+
+        toggle.checked = this.showExtras;
+        toggle.addEventListener('change', () => {
+            this.showExtras = toggle.checked;
+            try {
+                localStorage.setItem('showExtras', this.showExtras ? 'true' : 'false');
+            } catch (_) {
+                /* ignore storage errors */
+            }
+
+            this.rerenderCards();
+            this.captureAnalytics('extras_toggled', { enabled: this.showExtras, source: this.dataSource, year: this.year });
+        });
+    }
+
+    rerenderCards() {
+        if (this.viewMode === 'unified') {
+            this.renderUnifiedView();
+        } else if (this.viewMode === 'grandprix') {
+            this.renderGrandPrixPage();
+        } else {
+            if (this.timelineContainer) {
+                this.timelineContainer.innerHTML = '';
+            }
+            this.renderAllItems();
+        }
+        this.setupDrawer();
+    }
+
+    // Stored pick ('' = automatic) first, then the browser locale
+    resolveRegionCountry() {
+        let selected = null;
+        try {
+            selected = localStorage.getItem('regionCountry');
+        } catch (_) {
+            selected = null;
+        }
+        const locales = typeof navigator !== 'undefined'
+            ? (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language])
+            : [];
+        return regionRestriction ? regionRestriction.resolveCountry({ selected, locales }) : null;
+    }
+
+    setupRegionSelect() {
+        const select = document.getElementById('regionCountry');
+        if (!select || !regionRestriction) return;
+
+        let stored = '';
+        try {
+            stored = regionRestriction.normalizeCountry(localStorage.getItem('regionCountry')) || '';
+        } catch (_) {
+            stored = '';
+        }
+        const displayNames = typeof Intl !== 'undefined' && Intl.DisplayNames
+            ? new Intl.DisplayNames([navigator.language || 'en'], { type: 'region' })
+            : null;
+        const autoCountry = stored ? regionRestriction.resolveCountry({ locales: navigator.languages || [] }) : this.regionCountry;
+        const codes = regionRestriction.REGION_CHOICES.slice();
+        if (stored && !codes.includes(stored)) codes.push(stored);
+
+        select.innerHTML = [
+            `<option value="">Auto${autoCountry ? ` (${this.escapeHtml(autoCountry)})` : ''}</option>`,
+            ...codes.map(code => `<option value="${code}">${this.escapeHtml(displayNames ? displayNames.of(code) : code)}</option>`)
+        ].join('');
+        select.value = stored;
+
+        select.addEventListener('change', () => {
+            try {
+                localStorage.setItem('regionCountry', select.value);
+            } catch (_) {
+                /* ignore storage errors */
+            }
+            this.regionCountry = this.resolveRegionCountry();
+            this.mergeAndSort();
+            this.rerenderCards();
+            this.captureAnalytics('region_changed', { country: this.regionCountry, source: this.dataSource, year: this.year });
+        });
+    }
+
+    isRegionRestricted(video) {
+        return Boolean(regionRestriction && video && regionRestriction.isRestrictedIn(video.regionRestriction, this.regionCountry));
+    }
+
+    // Never pick a video that is blocked here when an alternate would play
+    pickWatchableVideo(video) {
+        if (!video || !this.isRegionRestricted(video)) return video;
+        const alternate = (video.alternates || []).find(alt => !this.isRegionRestricted(alt));
+        return alternate || video;
+    }
+
     setupArchiveControls() {
         const toggleAllBtn = document.getElementById('toggleAllBtn');
+        const sortSelect = document.getElementById('archiveSort');
+
+        if (sortSelect) {
+            sortSelect.value = this.archiveSort;
+            sortSelect.addEventListener('change', () => {
+                this.archiveSort = sortSelect.value === 'popular' ? 'popular' : 'session';
+                if (this.timelineContainer) {
+                    this.timelineContainer.innerHTML = '';
+                }
+                this.renderAllItems();
+                this.setupDrawer();
+                this.captureAnalytics('archive_sort_changed', { sort: this.archiveSort, year: this.year });
+            });
+        }
 
         if (toggleAllBtn) {
             toggleAllBtn.addEventListener('click', () => {
@@ -295,12 +435,12 @@ class F1Calendar {
                 if (!res.ok) {
                     throw new Error(`Failed to fetch JSON calendar (${res.status})`);
                 }
-                const data = await res.json();
-                if (!Array.isArray(data) || !data.length) {
+                const entries = this.readCalendarEntries(await res.json());
+                if (!entries.length) {
                     throw new Error('Calendar JSON empty');
                 }
                 // Normalize shape to match ICS parser output
-                this.calendarWeekends = data.map(item => ({
+                this.calendarWeekends = entries.map(item => ({
                     name: item.name,
                     startDate: item.startDate,
                     sessions: (item.sessions || []).map(session => (
@@ -337,6 +477,8 @@ class F1Calendar {
                 }
 
                 const data = await response.json();
+                // A file from a newer contract is skipped rather than half-rendered
+                this.assertSupportedSchema(data, source);
                 const grandPrixWeekends = Array.isArray(data.grandPrixWeekends) ? data.grandPrixWeekends : [];
 
                 const filtered = grandPrixWeekends.filter(weekend => this.isWeekendForYear(weekend));
@@ -355,6 +497,37 @@ class F1Calendar {
         this.videoWeekends = [];
     }
 
+    // Optional: without the alias table, weekends written before calendarName existed match by name only
+    async loadAliases() {
+        try {
+            const response = await fetch(addDataPrefix('grand-prix-aliases.json'), { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Failed to fetch aliases (${response.status})`);
+            }
+            const data = await response.json();
+            this.assertSupportedSchema(data, 'grand-prix-aliases.json');
+            this.grandPrixAliases = calendarState?.getSeasonAliases
+                ? calendarState.getSeasonAliases(data, this.year)
+                : {};
+        } catch (error) {
+            console.debug('Aliases load failed:', error.message);
+            this.grandPrixAliases = {};
+        }
+    }
+
+    assertSupportedSchema(data, label) {
+        if (calendarState?.assertSupportedSchema) {
+            calendarState.assertSupportedSchema(data, label);
+        }
+    }
+
+    readCalendarEntries(data) {
+        if (calendarState?.readCalendarEntries) {
+            return calendarState.readCalendarEntries(data, `calendar${this.year}.json`);
+        }
+        return Array.isArray(data) ? data : (Array.isArray(data?.weekends) ? data.weekends : []);
+    }
+
     getVideoSources() {
         if (this.dataSource === 'archive') {
             return [`videos-${this.year}.json`, 'videos.json'];
@@ -417,6 +590,7 @@ class F1Calendar {
                 throw new Error(`Failed to fetch standings (${response.status})`);
             }
             const data = await response.json();
+            this.assertSupportedSchema(data, `standings${this.year}.json`);
             this.standingsData = this.normalizeStandingsData(data);
             this.standingsStatus = 'ready';
         } catch (error) {
@@ -479,7 +653,7 @@ class F1Calendar {
         const currentGps = [];
         const completedGps = [];
 
-        this.calendarWeekends.forEach(calendarGP => {
+        this.calendarWeekends.forEach((calendarGP, index) => {
             const matchingVideos = this.findMatchingVideoWeekend(calendarGP);
             const classification = this.classifyWeekend(calendarGP, matchingVideos, now);
             const hasVideos = classification.hasVideos;
@@ -494,7 +668,7 @@ class F1Calendar {
                 if (matchingVideos && matchingVideos.videos) {
                     matchedVideo = matchingVideos.videos.find(v => {
                         if (calendarState?.sessionMatchesVideo) {
-                            return calendarState.sessionMatchesVideo(sessionTitle, v.title || '');
+                            return calendarState.sessionMatchesVideo(sessionTitle, v);
                         }
 
                         return false;
@@ -504,15 +678,18 @@ class F1Calendar {
                 return {
                     title: sessionTitle,
                     publishedAt: sessionDate,
-                    video: matchedVideo
+                    video: this.pickWatchableVideo(matchedVideo)
                 };
             });
 
             const merged = {
                 name: calendarGP.name,
+                // Both calendar sources list weekends in season order, so the position is the round
+                round: matchingVideos?.round || index + 1,
                 startDate: calendarGP.startDate,
                 sessions: sessionsWithVideos,
                 videos: matchingVideos?.videos || [],
+                extras: matchingVideos?.extras || [],
                 isCompleted: classification.status === 'completed' && hasVideos,
                 isCurrent: classification.status === 'current',
                 upcoming: classification.status !== 'completed',
@@ -653,6 +830,25 @@ class F1Calendar {
         this.setupUnifiedHero();
     }
 
+    // Pre-rendered weekend pages (scripts/build-gp-pages.js): swap the static markup for the live card
+    renderGrandPrixPage() {
+        if (!this.gpPageCard) return;
+        const gp = [...this.currentGPs, ...this.upcomingGPs, ...this.completedGPs]
+            .find(weekend => weekend.name === this.grandPrixName);
+        if (!gp) return;
+
+        const status = gp.status === 'upcoming' && gp === this.upcomingGPs[0] && !this.currentGPs.length
+            ? 'next'
+            : gp.status;
+        this.gpPageCard.replaceChildren(this.createUnifiedGPCard(gp, status));
+    }
+
+    getGrandPrixPageUrl(gp) {
+        if (!calendarState?.getGrandPrixSlug) return null;
+        const slug = calendarState.getGrandPrixSlug(gp.name, this.year);
+        return slug ? `/gp/${this.year}/${slug}/` : null;
+    }
+
     scrollToGrandPrix(gpName) {
         if (typeof window === 'undefined' || !gpName) {
             return;
@@ -670,7 +866,7 @@ class F1Calendar {
         const div = document.createElement('div');
         const statusClass = status === 'next' ? 'next-up' : status;
         const gpId = this.createGPId(gp.name);
-        const isExpanded = this.dataSource === 'archive' || status === 'next' || status === 'current';
+        const isExpanded = this.dataSource === 'archive' || this.viewMode === 'grandprix' || status === 'next' || status === 'current';
         const panelId = `${gpId}-sessions`;
         div.className = `gp-card dashboard-race-card ${statusClass}${isExpanded ? ' is-expanded' : ''}`;
         div.id = gpId;
@@ -720,6 +916,28 @@ class F1Calendar {
             `;
         }
         const sessionCount = Array.isArray(gp.sessions) ? gp.sessions.length : 0;
+        const pageUrl = this.viewMode === 'grandprix' ? null : this.getGrandPrixPageUrl(gp);
+        const extras = Array.isArray(gp.extras) ? gp.extras : [];
+        const showExtrasTab = this.showExtras && extras.length > 0 &&
+            (this.dataSource === 'archive' || this.dataSource === 'homepage');
+        if (showExtrasTab) {
+            panelContent = `
+                <div class="gp-card-tabs" role="tablist" aria-label="${this.escapeAttribute(gp.name)} videos">
+                    <button type="button" role="tab" class="gp-card-tab active" id="${gpId}-tab-sessions"
+                        aria-controls="${gpId}-tabpanel-sessions" aria-selected="true" data-gp-tab="sessions">Sessions</button>
+                    <button type="button" role="tab" class="gp-card-tab" id="${gpId}-tab-extras"
+                        aria-controls="${gpId}-tabpanel-extras" aria-selected="false" tabindex="-1" data-gp-tab="extras">
+                        Extras <span class="gp-card-tab-count">${extras.length}</span>
+                    </button>
+                </div>
+                <div class="gp-card-tabpanel" role="tabpanel" id="${gpId}-tabpanel-sessions" aria-labelledby="${gpId}-tab-sessions">
+                    ${panelContent}
+                </div>
+                <div class="gp-card-tabpanel" role="tabpanel" id="${gpId}-tabpanel-extras" aria-labelledby="${gpId}-tab-extras" hidden>
+                    ${this.createExtrasGrid(gp)}
+                </div>
+            `;
+        }
 
         div.innerHTML = `
             <div class="gp-card-header">
@@ -746,6 +964,7 @@ class F1Calendar {
             </div>
             <div class="gp-card-panel" id="${panelId}" ${isExpanded ? '' : 'hidden'}>
                 ${panelContent}
+                ${pageUrl ? `<a class="gp-card-page-link" href="${this.escapeAttribute(pageUrl)}">Schedule &amp; highlights page →</a>` : ''}
             </div>
         `;
 
@@ -776,11 +995,71 @@ class F1Calendar {
             });
         }
 
+        div.querySelectorAll('.gp-card-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                const selected = tab.getAttribute('data-gp-tab');
+                div.querySelectorAll('.gp-card-tab').forEach(other => {
+                    const isActive = other === tab;
+                    other.classList.toggle('active', isActive);
+                    other.setAttribute('aria-selected', isActive ? 'true' : 'false');
+                    other.setAttribute('tabindex', isActive ? '0' : '-1');
+                });
+                div.querySelectorAll('.gp-card-tabpanel').forEach(tabPanel => {
+                    tabPanel.hidden = tabPanel.id !== `${gpId}-tabpanel-${selected}`;
+                });
+                this.captureAnalytics('gp_card_tab_changed', {
+                    grand_prix: gp.name,
+                    tab: selected,
+                    extras_count: extras.length,
+                    data_source: this.dataSource,
+                    year: this.year
+                });
+            });
+        });
+
         return div;
     }
 
+    createExtrasGrid(gp) {
+        const byCategory = new Map();
+        (gp.extras || []).forEach(video => {
+            if (!video || !video.videoId) return;
+            if (!byCategory.has(video.category)) byCategory.set(video.category, []);
+            byCategory.get(video.category).push(video);
+        });
+
+        const sectionsHtml = Array.from(byCategory.entries()).map(([category, videos]) => `
+            <div class="extras-category">
+                <h4 class="extras-category-title">${this.escapeHtml(this.getExtraCategoryLabel(category))}</h4>
+                <div class="timeline-videos">
+                    ${videos.map(video => this.createVideoCard(video, gp)).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        return `<div class="timeline-content extras-content">${sectionsHtml}</div>`;
+    }
+
+    getExtraCategoryLabel(category) {
+        const labels = {
+            onboard: 'Onboard',
+            'team-radio': 'Team Radio',
+            'top-10': 'Top 10',
+            'post-race-show': 'Post-Race Show'
+        };
+        if (labels[category]) return labels[category];
+        return String(category || 'Extra')
+            .split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
     createArchiveVideoGrid(gp) {
-        const videos = Array.isArray(gp?.videos) ? gp.videos : [];
+        const videos = Array.isArray(gp?.videos) ? gp.videos.slice() : [];
+        if (this.archiveSort === 'popular') {
+            // Videos without a view count yet keep their session order after the ranked ones
+            videos.sort((a, b) => (Number(b.viewCount) || -1) - (Number(a.viewCount) || -1));
+        }
         const videosHtml = videos.length > 0
             ? videos.map((video) => this.createVideoCard(video, gp)).join('')
             : '<div class="timeline-no-videos"><div class="timeline-no-videos-icon">🎥</div><p>Highlights coming soon</p></div>';
@@ -877,9 +1156,11 @@ class F1Calendar {
             // Build classes
             const classes = ['session-chip', sessionClass];
             const showThumbnail = hasVideo && this.dataSource !== 'homepage' && this.dataSource !== 'archive' && this.viewMode !== 'unified';
+            const restricted = hasVideo && this.isRegionRestricted(session.video);
             if (hasVideo) classes.push('has-video');
             if (showThumbnail) classes.push('with-thumbnail');
             if (isUpcoming) classes.push('upcoming');
+            if (restricted) classes.push('region-restricted');
 
             const mediaHtml = showThumbnail ? `
                 <span class="session-chip-thumb" aria-hidden="true" style="background-image: url('${this.escapeAttribute(session.video.thumbnail || '')}')"></span>
@@ -892,6 +1173,7 @@ class F1Calendar {
                     <span class="session-chip-label">${sessionType}</span>
                     <span class="session-chip-icon">${icon}</span>
                     <span class="session-chip-time">${timeStr}</span>
+                    ${restricted ? '<span class="session-chip-region" title="May be unavailable in your region" aria-label="May be unavailable in your region">🌐</span>' : ''}
                 </span>
             `;
 
@@ -1506,15 +1788,9 @@ class F1Calendar {
     // ============================================
 
     getSessionTypeLabel(title) {
-        const titleLower = title.toLowerCase();
-        if (titleLower.includes('fp1')) return 'FP1';
-        if (titleLower.includes('fp2')) return 'FP2';
-        if (titleLower.includes('fp3')) return 'FP3';
-        if (titleLower.includes('sprint') && titleLower.includes('qualifying')) return 'Sprint Quali';
-        if (titleLower.includes('sprint')) return 'Sprint';
-        if (titleLower.includes('qualifying')) return 'Qualifying';
-        if (titleLower.includes('race')) return 'Race';
-        return title;
+        // Calendar sessions we cannot classify keep their own name rather than "Other".
+        const session = sessionClassifier?.classifySession(title);
+        return session && session.type !== 'other' ? session.label : title;
     }
 
     isWeekendForYear(weekend = {}) {
@@ -1524,7 +1800,7 @@ class F1Calendar {
 
     findMatchingVideoWeekend(calendarGP) {
         if (calendarState?.findMatchingVideoWeekend) {
-            return calendarState.findMatchingVideoWeekend(calendarGP, this.videoWeekends, this.year);
+            return calendarState.findMatchingVideoWeekend(calendarGP, this.videoWeekends, this.year, this.grandPrixAliases);
         }
 
         return this.videoWeekends.find(v =>
@@ -1545,16 +1821,23 @@ class F1Calendar {
         return { status, hasVideos };
     }
 
+    // Also drops videos the availability sweep flagged as removed, private or blocked
     dedupeWeekendVideos(weekends = []) {
+        const isAvailable = video => Boolean(video && video.videoId && !video.unavailable);
         return (Array.isArray(weekends) ? weekends : []).map(weekend => {
             const seen = new Set();
             const videos = (weekend.videos || []).filter(video => {
-                if (!video || !video.videoId) return false;
+                if (!isAvailable(video)) return false;
                 if (seen.has(video.videoId)) return false;
                 seen.add(video.videoId);
                 return true;
-            });
-            return Object.assign({}, weekend, { videos });
+            }).map(video => (
+                Array.isArray(video.alternates)
+                    ? Object.assign({}, video, { alternates: video.alternates.filter(isAvailable) })
+                    : video
+            ));
+            const extras = (weekend.extras || []).filter(isAvailable);
+            return Object.assign({}, weekend, { videos, extras });
         });
     }
 
@@ -1749,13 +2032,16 @@ class F1Calendar {
     }
 
     createVideoCard(video, weekend) {
-        const videoType = this.getVideoType(video.title || '');
+        const videoType = video.category ? this.getExtraCategoryLabel(video.category) : this.getVideoType(video);
         const formattedDate = this.formatDate(video.publishedAt);
         const videoUrl = this.getVideoUrl(video.videoId);
         const sessionClass = videoType.toLowerCase().replace(/\s+/g, '-');
+        const duration = this.formatDuration(video.durationSeconds);
+        const views = this.formatViewCount(video.viewCount);
+        const restricted = this.isRegionRestricted(video);
 
         return `
-            <div class="video-card">
+            <div class="video-card${restricted ? ' region-restricted' : ''}">
                 <a class="video-thumbnail-container"
                     href="${this.escapeAttribute(videoUrl)}"
                     target="_blank"
@@ -1765,11 +2051,13 @@ class F1Calendar {
                         <div class="play-overlay">
                             <div class="play-button">▶</div>
                         </div>
+                        ${duration ? `<span class="video-duration">${duration}</span>` : ''}
                     </div>
                 </a>
                 <div class="video-info">
                     <h3 class="video-title">${this.escapeHtml(video.title || '')}</h3>
-                    <div class="video-date">${formattedDate}</div>
+                    <div class="video-date">${formattedDate}${views ? ` • ${views}` : ''}</div>
+                    ${restricted ? '<div class="region-warning">🌐 May be unavailable in your region</div>' : ''}
                     <div class="video-actions">
                         <span class="video-type ${sessionClass}">${videoType}</span>
                         <a href="${videoUrl}" target="_blank" rel="noopener noreferrer" class="watch-button">
@@ -1784,20 +2072,31 @@ class F1Calendar {
         `;
     }
 
-    getVideoType(title) {
-        const titleLower = title.toLowerCase();
+    getVideoType(video) {
+        if (!sessionClassifier) return 'Other';
+        const session = calendarState?.getVideoSession
+            ? calendarState.getVideoSession(video)
+            : sessionClassifier.getVideoSessionType(video);
+        return sessionClassifier.getSessionLabel(session);
+    }
 
-        if (titleLower.includes('fp1')) return 'FP1';
-        if (titleLower.includes('fp2')) return 'FP2';
-        if (titleLower.includes('fp3')) return 'FP3';
-        if (titleLower.includes('sprint') && (titleLower.includes('qualifying') || titleLower.includes('quali'))) return 'Sprint Quali';
-        if (titleLower.includes('shootout')) return 'Sprint Quali';
-        if (titleLower.includes('sprint')) return 'Sprint';
-        if (titleLower.includes('race') && (titleLower.includes('qualifying') || titleLower.includes('quali'))) return 'Race Quali';
-        if (titleLower.includes('qualifying') || titleLower.includes('quali')) return 'Qualifying';
-        if ((titleLower.includes('race') || titleLower.includes('grand prix')) && !titleLower.includes('practice')) return 'Race';
+    formatDuration(totalSeconds) {
+        const seconds = Number(totalSeconds);
+        if (!Number.isFinite(seconds) || seconds <= 0) return '';
 
-        return 'Other';
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = Math.floor(seconds % 60);
+        const pad = (n) => String(n).padStart(2, '0');
+        return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+    }
+
+    formatViewCount(count) {
+        const views = Number(count);
+        if (count === null || count === undefined || !Number.isFinite(views)) return '';
+
+        const compact = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(views);
+        return `${compact} view${views === 1 ? '' : 's'}`;
     }
 
     formatDate(dateString) {
@@ -2010,6 +2309,41 @@ class F1Calendar {
         });
     }
 
+    // The session video and its alternates, whichever of them `videoId` is
+    findVideoGroup(videoId) {
+        if (!videoId) return [];
+        for (const weekend of this.videoWeekends || []) {
+            for (const video of weekend.videos || []) {
+                const group = [video, ...(video.alternates || [])];
+                if (group.some(candidate => candidate.videoId === videoId)) return group;
+            }
+        }
+        return [];
+    }
+
+    createAlternatesHtml(videoId) {
+        // Alternates blocked in the user's region are not suggested
+        const alternates = this.findVideoGroup(videoId)
+            .filter(video => video.videoId !== videoId && !this.isRegionRestricted(video));
+        if (alternates.length === 0) return '';
+
+        const items = alternates.map(alt => `
+            <li>
+                <a href="${this.escapeAttribute(this.getVideoUrl(alt.videoId))}" target="_blank" rel="noopener noreferrer">
+                    <span class="drawer-alternate-channel">${this.escapeHtml(alt.channelName || 'Other channel')}</span>
+                    <span class="drawer-alternate-title">${this.escapeHtml(alt.title || '')}</span>
+                </a>
+            </li>
+        `).join('');
+
+        return `
+            <div class="drawer-alternates">
+                <p class="drawer-alternates-label">Also available</p>
+                <ul>${items}</ul>
+            </div>
+        `;
+    }
+
     openDrawer(thumbnail, drawer, drawerContent) {
         const videoId = thumbnail.getAttribute('data-video-id');
         const videoUrl = thumbnail.getAttribute('data-video-url') || '';
@@ -2075,6 +2409,7 @@ class F1Calendar {
         meta.appendChild(titleH3);
         meta.appendChild(dateP);
         meta.appendChild(gpP);
+        meta.insertAdjacentHTML('beforeend', this.createAlternatesHtml(videoId));
         meta.appendChild(actions);
 
         drawerContent.appendChild(media);
@@ -2164,6 +2499,7 @@ class F1Calendar {
                     <a href="${videoUrl}" target="_blank" rel="noopener noreferrer" class="inline-watch-btn">
                         ▶ Watch on YouTube
                     </a>
+                    ${this.createAlternatesHtml(videoId)}
                 </div>
             </div>
         `;
@@ -2234,6 +2570,7 @@ class F1Calendar {
         meta.appendChild(sessionP);
         meta.appendChild(titleH3);
         meta.appendChild(gpP);
+        meta.insertAdjacentHTML('beforeend', this.createAlternatesHtml(videoId));
         meta.appendChild(actions);
 
         drawerContent.appendChild(media);
@@ -13,10 +13,10 @@ const Components = {
      */
     header(activePage = 'home', options = {}) {
         const navLinks = [
-            { href: 'index.html', label: 'Home', id: 'home' },
-            { href: 'standings.html', label: 'Standings', id: 'standings' },
-            { href: 'archive-2025.html', label: 'Archive (2025)', id: 'archive' },
-            { href: 'about.html', label: 'About', id: 'about' }
+            { href: '/index.html', label: 'Home', id: 'home' },
+            { href: '/standings.html', label: 'Standings', id: 'standings' },
+            { href: '/archive-2025.html', label: 'Archive (2025)', id: 'archive' },
+            { href: '/about.html', label: 'About', id: 'about' }
         ];
 
         const navHTML = navLinks.map((link) => {
@@ -37,7 +37,7 @@ const Components = {
     <header>
         <div class="header-inner">
             <div class="header-brand">
-                <a class="header-text" href="index.html" aria-label="Go to home">
+                <a class="header-text" href="/index.html" aria-label="Go to home">
                     <span class="site-title" translate="no">🏎️ F1 Highlights Hub</span>
                 </a>
             </div>
@@ -77,7 +77,7 @@ const Components = {
     <footer>
         <div class="footer-inner">
             <div class="footer-brand">
-                <a href="index.html" class="footer-logo" translate="no">🏎️ F1 Highlights Hub</a>
+                <a href="/index.html" class="footer-logo" translate="no">🏎️ F1 Highlights Hub</a>
                 <span class="footer-tagline">Your pit stop for F1 highlights</span>
             </div>
             
@@ -94,8 +94,8 @@ const Components = {
             </div>
             
             <div class="footer-links">
-                <a href="about.html" class="footer-link">About</a>
-                <a href="disclosure.html" class="footer-link">Disclosure</a>
+                <a href="/about.html" class="footer-link">About</a>
+                <a href="/disclosure.html" class="footer-link">Disclosure</a>
                 <a href="https://github.com/maheshrijal/f1recap" class="footer-link" target="_blank" rel="noopener noreferrer">
                     <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 16 16" fill="currentColor" style="vertical-align: -2px; margin-right: 4px;">
                         <path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"/>
@@ -0,0 +1,63 @@
+(function (globalScope) {
+    // Countries offered in the region picker: every 2025/2026 host plus the largest
+    // F1 TV markets. Anything else still works through the browser locale.
+    const REGION_CHOICES = [
+        'AE', 'AR', 'AT', 'AU', 'AZ', 'BE', 'BH', 'BR', 'CA', 'CH', 'CN', 'DE', 'DK', 'ES', 'FI', 'FR',
+        'GB', 'HU', 'IE', 'IN', 'IT', 'JP', 'MC', 'MX', 'NL', 'NZ', 'PL', 'PT', 'QA', 'SA', 'SE', 'SG',
+        'TH', 'US', 'ZA'
+    ];
+
+    function normalizeCountry(code) {
+        const value = String(code || '').trim().toUpperCase();
+        return /^[A-Z]{2}$/.test(value) ? value : null;
+    }
+
+    // "en-GB", "pt_BR" or "zh-Hant-TW" -> country; language-only tags give nothing.
+    function countryFromLocale(locale) {
+        const parts = String(locale || '').split(/[-_]/).slice(1);
+        const region = parts.find((part) => /^[A-Za-z]{2}$/.test(part));
+        return normalizeCountry(region);
+    }
+
+    /** The user's pick wins; otherwise the first browser locale that names a country. */
+    function resolveCountry({ selected = null, locales = [] } = {}) {
+        const picked = normalizeCountry(selected);
+        if (picked) return picked;
+        for (const locale of locales || []) {
+            const country = countryFromLocale(locale);
+            if (country) return country;
+        }
+        return null;
+    }
+
+    /**
+     * Whether contentDetails.regionRestriction keeps a video from playing in `country`.
+     * `allowed` is a whitelist (an empty list blocks everywhere), `blocked` a blacklist.
+     * Unknown countries are never flagged.
+     */
+    function isRestrictedIn(regionRestriction, country) {
+        const code = normalizeCountry(country);
+        if (!regionRestriction || !code) return false;
+        if (Array.isArray(regionRestriction.allowed)) {
+            return !regionRestriction.allowed.map(normalizeCountry).includes(code);
+        }
+        if (Array.isArray(regionRestriction.blocked)) {
+            return regionRestriction.blocked.map(normalizeCountry).includes(code);
+        }
+        return false;
+    }
+
+    const api = {
+        countryFromLocale,
+        isRestrictedIn,
+        normalizeCountry,
+        REGION_CHOICES: REGION_CHOICES.slice(),
+        resolveCountry
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+    globalScope.F1RegionRestriction = api;
+})(typeof globalThis !== 'undefined' ? globalThis : window);
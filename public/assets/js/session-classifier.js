@@ -0,0 +1,83 @@
+(function (globalScope) {
+    // Ordered from most to least specific: "Sprint Qualifying" must win over "Sprint",
+    // and practice numbers must win over the "Grand Prix" suffix every title carries.
+    // `order` is the fallback running order within a weekend, with Grand Prix
+    // qualifying ahead of the sprint sessions as the pages have always listed them.
+    const SESSION_TYPES = [
+        { type: 'fp1', label: 'FP1', order: 10, patterns: [/\bfp1\b/, /\b(?:free\s+)?practice\s*1\b/] },
+        { type: 'fp2', label: 'FP2', order: 20, patterns: [/\bfp2\b/, /\b(?:free\s+)?practice\s*2\b/] },
+        { type: 'fp3', label: 'FP3', order: 30, patterns: [/\bfp3\b/, /\b(?:free\s+)?practice\s*3\b/] },
+        {
+            type: 'sprint-qualifying',
+            label: 'Sprint Quali',
+            order: 50,
+            patterns: [/\bshootout\b/, /\bsprint\b.*\bquali(?:fying)?\b/, /\bquali(?:fying)?\b.*\bsprint\b/]
+        },
+        { type: 'sprint', label: 'Sprint', order: 60, patterns: [/\bsprint\b/] },
+        {
+            type: 'race-qualifying',
+            label: 'Race Quali',
+            order: 70,
+            patterns: [/\brace\b.*\bquali(?:fying)?\b/, /\bquali(?:fying)?\b.*\brace\b/]
+        },
+        { type: 'qualifying', label: 'Qualifying', order: 40, patterns: [/\bquali(?:fying)?\b/] },
+        // A bare "Grand Prix" is how calendars name the race session; video titles always
+        // carry it as part of the event name, so it only counts when it is the whole title.
+        { type: 'race', label: 'Race', order: 80, patterns: [/\brace\b/, /^grand\s+prix$/] }
+    ];
+
+    const OTHER = { type: 'other', label: 'Other', order: 99 };
+
+    function normalizeTitle(title) {
+        return String(title || '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function classifySession(title) {
+        const normalizedTitle = normalizeTitle(title);
+        const match = normalizedTitle
+            ? SESSION_TYPES.find((entry) => entry.patterns.some((pattern) => pattern.test(normalizedTitle)))
+            : null;
+        const { type, label, order } = match || OTHER;
+        return { type, label, order };
+    }
+
+    function getSessionType(title) {
+        return classifySession(title).type;
+    }
+
+    // Video records may carry an editorial sessionType (config/overrides-YYYY.json) that beats the title.
+    function getVideoSessionType(video) {
+        if (video?.sessionType && SESSION_TYPES.some((entry) => entry.type === video.sessionType)) {
+            return video.sessionType;
+        }
+        return getSessionType(video?.title);
+    }
+
+    function getSessionLabel(type) {
+        const entry = SESSION_TYPES.find((candidate) => candidate.type === type);
+        return entry ? entry.label : OTHER.label;
+    }
+
+    function getSessionOrder(type) {
+        const entry = SESSION_TYPES.find((candidate) => candidate.type === type);
+        return entry ? entry.order : OTHER.order;
+    }
+
+    const api = {
+        classifySession,
+        getSessionLabel,
+        getSessionOrder,
+        getSessionType,
+        getVideoSessionType,
+        SESSION_TYPES: SESSION_TYPES.map(({ type, label, order }) => ({ type, label, order }))
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+    globalScope.F1SessionClassifier = api;
+})(typeof globalThis !== 'undefined' ? globalThis : window);
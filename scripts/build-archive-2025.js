@@ -14,6 +14,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readCalendarEntries } = require('../public/assets/js/calendar-state');
+const { annotateWeekends, buildWeekendWindows } = require('./calendar-windows');
+const { assertValidArtifact, SCHEMA_VERSION } = require('./data-schemas');
 
 const dataDir = path.join(__dirname, '..', 'public', 'data');
 const calendarPath = path.join(dataDir, 'calendar2025.json');
@@ -42,13 +45,13 @@ function computeLatestDate(videos = []) {
 }
 
 function buildArchive() {
-    const calendar = readJson(calendarPath, []);
+    const calendar = readCalendarEntries(readJson(calendarPath, []), 'calendar2025.json');
     const manual = readJson(manualPath, { grandPrixWeekends: [] });
     const manualMap = new Map(
         (manual.grandPrixWeekends || []).map(item => [normalizeName(item.name), item])
     );
 
-    const grandPrixWeekends = calendar.map(entry => {
+    const weekends = calendar.map(entry => {
         const manualData = manualMap.get(normalizeName(entry.name)) || {};
         const videos = Array.isArray(manualData.videos) ? manualData.videos : [];
         const name = manualData.name
@@ -61,6 +64,7 @@ function buildArchive() {
             latestDate: computeLatestDate(videos)
         };
     });
+    const grandPrixWeekends = annotateWeekends(weekends, buildWeekendWindows(calendar, 2025), 2025);
 
     const totalVideos = grandPrixWeekends.reduce(
         (sum, gp) => sum + (Array.isArray(gp.videos) ? gp.videos.length : 0),
@@ -68,11 +72,13 @@ function buildArchive() {
     );
 
     const output = {
+        schemaVersion: SCHEMA_VERSION,
         lastUpdated: new Date().toISOString(),
         totalVideos,
         grandPrixWeekends
     };
 
+    assertValidArtifact('videos-archive', output, 'videos-2025.json');
     fs.mkdirSync(dataDir, { recursive: true });
     fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
 
@@ -0,0 +1,182 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getVideoSession } = require('../public/assets/js/calendar-state');
+const { getSessionLabel, SESSION_TYPES } = require('../public/assets/js/session-classifier');
+
+const SITE_URL = (process.env.SITE_URL || 'https://f1recap.pages.dev').replace(/\/+$/, '');
+const FEED_LIMIT = parseInt(process.env.FEED_LIMIT || '50', 10);
+// Entry ids must never change once published, whatever the site's URL or the run
+const ID_PREFIX = 'tag:f1recap.pages.dev,2025:video:';
+
+function parseYearArg(argv = process.argv.slice(2)) {
+    const index = argv.findIndex((arg) => arg === '--year' || arg.startsWith('--year='));
+    if (index === -1) return null;
+    const arg = argv[index];
+    return arg.includes('=') ? arg.split('=')[1] : argv[index + 1] || null;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * One entry per watchable session video in a season archive, newest first.
+ * Alternates and extras are left out; they are not highlights of their own.
+ */
+function collectHighlights(archive) {
+    const entries = [];
+    for (const gp of archive?.grandPrixWeekends || []) {
+        for (const video of gp.videos || []) {
+            if (!video?.videoId || video.unavailable || Number.isNaN(Date.parse(video.publishedAt))) continue;
+            const session = getVideoSession(video);
+            entries.push({
+                id: `${ID_PREFIX}${video.videoId}`,
+                videoId: video.videoId,
+                title: video.title,
+                url: `https://www.youtube.com/watch?v=${encodeURIComponent(video.videoId)}`,
+                thumbnail: video.thumbnail || '',
+                publishedAt: new Date(video.publishedAt).toISOString(),
+                grandPrix: gp.name,
+                round: gp.round || null,
+                session,
+                sessionLabel: getSessionLabel(session)
+            });
+        }
+    }
+    return entries.sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt) || a.videoId.localeCompare(b.videoId));
+}
+
+function summaryOf(entry) {
+    return `${entry.sessionLabel} highlights from the ${entry.grandPrix}.`;
+}
+
+// Timestamps come from the entries, so a run that adds nothing rewrites identical files
+function feedUpdated(entries, year) {
+    return entries[0]?.publishedAt || `${year}-01-01T00:00:00.000Z`;
+}
+
+function renderAtom(entries, { title, fileName, year }) {
+    const selfUrl = `${SITE_URL}/data/${fileName}`;
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+        `  <id>${escapeXml(selfUrl)}</id>`,
+        `  <title>${escapeXml(title)}</title>`,
+        `  <updated>${feedUpdated(entries, year)}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(`${SITE_URL}/`)}"/>`,
+        '  <author><name>F1 Recap</name></author>'
+    ];
+    for (const entry of entries) {
+        const content = `<p>${escapeXml(summaryOf(entry))}</p>` +
+            (entry.thumbnail ? `<p><a href="${escapeXml(entry.url)}"><img src="${escapeXml(entry.thumbnail)}" alt=""/></a></p>` : '');
+        lines.push(
+            '  <entry>',
+            `    <id>${entry.id}</id>`,
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+            `    <published>${entry.publishedAt}</published>`,
+            `    <updated>${entry.publishedAt}</updated>`,
+            `    <category term="${escapeXml(entry.session)}" label="${escapeXml(entry.sessionLabel)}"/>`,
+            `    <category term="${escapeXml(entry.grandPrix)}" label="${escapeXml(entry.grandPrix)}"/>`,
+            `    <summary>${escapeXml(summaryOf(entry))}</summary>`,
+            `    <content type="html">${escapeXml(content)}</content>`
+        );
+        if (entry.thumbnail) lines.push(`    <media:thumbnail url="${escapeXml(entry.thumbnail)}"/>`);
+        lines.push('  </entry>');
+    }
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+function renderJsonFeed(entries, { title, fileName }) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title,
+        home_page_url: `${SITE_URL}/`,
+        feed_url: `${SITE_URL}/data/${fileName}`,
+        language: 'en',
+        authors: [{ name: 'F1 Recap' }],
+        items: entries.map((entry) => ({
+            id: entry.id,
+            url: entry.url,
+            title: entry.title,
+            content_text: summaryOf(entry),
+            ...(entry.thumbnail ? { image: entry.thumbnail } : {}),
+            date_published: entry.publishedAt,
+            tags: [entry.sessionLabel, entry.grandPrix],
+            _f1recap: { videoId: entry.videoId, grandPrix: entry.grandPrix, round: entry.round, session: entry.session }
+        }))
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/**
+ * The feed files for one season: every highlight (highlights.atom, highlights.json)
+ * and one pair per session type (highlights-race.atom, ...), even when empty, so
+ * subscribed URLs keep working. Returns [{ fileName, body }].
+ */
+function buildFeedFiles(archive, { year, limit = FEED_LIMIT } = {}) {
+    const all = collectHighlights(archive);
+    const feeds = [{ suffix: '', title: `F1 Recap: ${year} highlights`, entries: all }];
+    for (const { type, label } of SESSION_TYPES) {
+        feeds.push({
+            suffix: `-${type}`,
+            title: `F1 Recap: ${year} ${label} highlights`,
+            entries: all.filter((entry) => entry.session === type)
+        });
+    }
+
+    return feeds.flatMap(({ suffix, title, entries }) => {
+        const limited = entries.slice(0, limit);
+        const atom = `highlights${suffix}.atom`;
+        const json = `highlights${suffix}.json`;
+        return [
+            { fileName: atom, body: renderAtom(limited, { title, fileName: atom, year }) },
+            { fileName: json, body: renderJsonFeed(limited, { title, fileName: json }) }
+        ];
+    });
+}
+
+async function buildFeeds({ year, dataDir }) {
+    const archivePath = path.join(dataDir, `videos-${year}.json`);
+    let archive;
+    try {
+        archive = JSON.parse(await fs.readFile(archivePath, 'utf8'));
+    } catch (err) {
+        // Early in a year there is no archive yet; keep last season's feeds rather than failing the build
+        if (err.code === 'ENOENT') {
+            console.warn(`No ${path.basename(archivePath)} yet; feeds left as they are.`);
+            return [];
+        }
+        throw new Error(`Failed to read ${archivePath}: ${err.message}`);
+    }
+
+    const files = buildFeedFiles(archive, { year });
+    for (const { fileName, body } of files) {
+        await fs.writeFile(path.join(dataDir, fileName), body);
+    }
+    return files;
+}
+
+async function main() {
+    const year = parseInt(parseYearArg() || process.env.TARGET_YEAR || new Date().getUTCFullYear(), 10);
+    const files = await buildFeeds({ year, dataDir: path.join(process.cwd(), 'public', 'data') });
+    if (files.length) {
+        console.log(`📰 Wrote ${files.length} feed files for ${year} (highlights.atom, highlights.json and per session)`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('❌ Feed build failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildFeedFiles, buildFeeds, collectHighlights, escapeXml };
@@ -0,0 +1,408 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    findMatchingVideoWeekend,
+    getGrandPrixSlug,
+    getVideoSession,
+    sessionMatchesVideo
+} = require('../public/assets/js/calendar-state');
+const { classifySession, getSessionLabel } = require('../public/assets/js/session-classifier');
+const { loadCalendarYear, loadSeasonAliases } = require('./calendar-windows');
+
+const SITE_URL = (process.env.SITE_URL || 'https://f1recap.pages.dev').replace(/\/+$/, '');
+const DEFAULT_OG_IMAGE = `${SITE_URL}/assets/images/og-image.jpg`;
+// Seasons with a page of their own; any other year lives on the homepage
+const SEASON_PAGES = { 2025: '/archive-2025.html' };
+
+function parseYearArg(argv = process.argv.slice(2)) {
+    const index = argv.findIndex((arg) => arg === '--year' || arg.startsWith('--year='));
+    if (index === -1) return null;
+    const arg = argv[index];
+    return arg.includes('=') ? arg.split('=')[1] : argv[index + 1] || null;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// JSON-LD sits inside <script>; "</" would end it early
+function jsonLd(data) {
+    return JSON.stringify(data, null, 2).replace(/<\//g, '<\\/');
+}
+
+function gpPagePath(year, name) {
+    return `/gp/${year}/${getGrandPrixSlug(name, year)}/`;
+}
+
+// Pages are built in UTC so output only changes with the data; calendar.js localizes on load
+function formatUtc(value, options) {
+    return new Date(value).toLocaleString('en-GB', { ...options, timeZone: 'UTC' });
+}
+
+function formatSessionTime(value) {
+    return `${formatUtc(value, { weekday: 'short', day: 'numeric', month: 'short' })}, ${formatUtc(value, { hour: '2-digit', minute: '2-digit', hour12: false })} UTC`;
+}
+
+function formatDateRange(startMs, endMs) {
+    const start = formatUtc(startMs, { day: 'numeric', month: 'short' });
+    const end = formatUtc(endMs, { day: 'numeric', month: 'short', year: 'numeric' });
+    return start === formatUtc(endMs, { day: 'numeric', month: 'short' }) ? end : `${start} – ${end}`;
+}
+
+function sessionLabel(title) {
+    const session = classifySession(title);
+    return session && session.type !== 'other' ? session.label : title;
+}
+
+// Unavailable uploads give way to a working alternate, like the client does for region blocks
+function watchable(video) {
+    if (!video || !video.unavailable) return video;
+    return (video.alternates || []).find((alt) => !alt.unavailable) || null;
+}
+
+/**
+ * Everything a weekend page shows, from one calendar entry and the season's
+ * stored videos: sessions with their highlight (if any) and the primaries in
+ * stored order.
+ */
+function buildGrandPrixModel(calendarWeekend, { year, round, videoWeekends = [], aliases = {} }) {
+    const matching = findMatchingVideoWeekend(calendarWeekend, videoWeekends, year, aliases);
+    const videos = (matching?.videos || []).map(watchable).filter(Boolean);
+    const sessions = (calendarWeekend.sessions || []).map((session) => ({
+        title: session.title,
+        label: sessionLabel(session.title),
+        startsAt: session.publishedAt || calendarWeekend.startDate,
+        video: videos.find((video) => sessionMatchesVideo(session.title, video)) || null
+    }));
+    const times = sessions.map((session) => Date.parse(session.startsAt)).filter(Number.isFinite);
+    const startMs = times.length ? Math.min(...times) : Date.parse(calendarWeekend.startDate);
+    const endMs = times.length ? Math.max(...times) : startMs;
+
+    return {
+        year: Number(year),
+        round: matching?.round || round,
+        name: calendarWeekend.name,
+        title: `${year} ${calendarWeekend.name}`,
+        path: gpPagePath(year, calendarWeekend.name),
+        startMs,
+        endMs,
+        hasSprint: sessions.some((session) => classifySession(session.title)?.type === 'sprint'),
+        sessions,
+        videos
+    };
+}
+
+function describe(model) {
+    const sessions = model.sessions.map((session) => session.label).join(', ');
+    const highlights = model.videos.length
+        ? `${model.videos.length} highlight video${model.videos.length === 1 ? '' : 's'}`
+        : 'highlights as soon as they are published';
+    return `${model.title} (round ${model.round}), ${formatDateRange(model.startMs, model.endMs)}: ${sessions} session times and ${highlights}.`;
+}
+
+function ogImage(model) {
+    const race = model.videos.find((video) => getVideoSession(video) === 'race');
+    return (race || model.videos[0])?.thumbnail || DEFAULT_OG_IMAGE;
+}
+
+function structuredData(model) {
+    const url = `${SITE_URL}${model.path}`;
+    const event = {
+        '@context': 'https://schema.org',
+        '@type': 'SportsEvent',
+        name: model.title,
+        description: describe(model),
+        url,
+        sport: 'Formula 1 Racing',
+        eventStatus: 'https://schema.org/EventScheduled',
+        startDate: new Date(model.startMs).toISOString(),
+        endDate: new Date(model.endMs).toISOString(),
+        location: { '@type': 'Place', name: model.name },
+        organizer: { '@type': 'Organization', name: 'Formula One World Championship Limited', url: 'https://www.formula1.com' },
+        subEvent: model.sessions.map((session) => ({
+            '@type': 'SportsEvent',
+            name: `${model.title} ${session.label}`,
+            startDate: new Date(session.startsAt).toISOString()
+        }))
+    };
+    if (model.videos.length) {
+        event.video = model.videos.map((video) => ({
+            '@type': 'VideoObject',
+            name: video.title,
+            description: `${getSessionLabel(getVideoSession(video))} highlights from the ${model.title}.`,
+            thumbnailUrl: video.thumbnail,
+            uploadDate: video.publishedAt,
+            embedUrl: `https://www.youtube.com/embed/${encodeURIComponent(video.videoId)}`,
+            url: `https://www.youtube.com/watch?v=${encodeURIComponent(video.videoId)}`
+        }));
+    }
+    const trail = [{ name: 'Home', item: `${SITE_URL}/` }];
+    if (SEASON_PAGES[model.year]) {
+        trail.push({ name: `${model.year} Season`, item: `${SITE_URL}${SEASON_PAGES[model.year]}` });
+    }
+    trail.push({ name: model.title, item: url });
+    const breadcrumbs = {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: trail.map((crumb, index) => ({ '@type': 'ListItem', position: index + 1, ...crumb }))
+    };
+    return [event, breadcrumbs];
+}
+
+function renderSchedule(model) {
+    const rows = model.sessions.map((session) => {
+        const watch = session.video
+            ? ` <a href="https://www.youtube.com/watch?v=${encodeURIComponent(session.video.videoId)}" target="_blank" rel="noopener noreferrer">Watch highlights</a>`
+            : '';
+        return `
+                    <li class="gp-page-session">
+                        <span class="gp-page-session-name">${escapeHtml(session.label)}</span>
+                        <time datetime="${escapeHtml(new Date(session.startsAt).toISOString())}">${escapeHtml(formatSessionTime(session.startsAt))}</time>${watch}
+                    </li>`;
+    }).join('');
+    return `<ol class="gp-page-schedule">${rows}
+                </ol>`;
+}
+
+function renderHighlights(model) {
+    if (!model.videos.length) {
+        return '<p class="gp-page-empty">Highlights appear here after each session.</p>';
+    }
+    const cards = model.videos.map((video) => {
+        const url = `https://www.youtube.com/watch?v=${encodeURIComponent(video.videoId)}`;
+        const label = getSessionLabel(getVideoSession(video));
+        return `
+                    <div class="video-card">
+                        <a class="video-thumbnail-container" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer"
+                            aria-label="Watch ${escapeHtml(video.title)} on YouTube">
+                            <div class="video-thumbnail" style="background-image: url('${escapeHtml(video.thumbnail || '')}')">
+                                <div class="play-overlay"><div class="play-button">▶</div></div>
+                            </div>
+                        </a>
+                        <div class="video-info">
+                            <h3 class="video-title">${escapeHtml(video.title)}</h3>
+                            <div class="video-date"><time datetime="${escapeHtml(video.publishedAt)}">${escapeHtml(formatUtc(video.publishedAt, { day: 'numeric', month: 'short', year: 'numeric' }))}</time></div>
+                            <div class="video-actions">
+                                <span class="video-type ${escapeHtml(label.toLowerCase().replace(/\s+/g, '-'))}">${escapeHtml(label)}</span>
+                                <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="watch-button">WATCH</a>
+                            </div>
+                        </div>
+                    </div>`;
+    }).join('');
+    return `<div class="timeline-videos">${cards}
+                </div>`;
+}
+
+/**
+ * The static page for one weekend. The markup stands on its own for crawlers and
+ * link previews; calendar.js (data-view="grandprix") swaps #gpPageCard for the
+ * live card with local times, the drawer and extras once it loads.
+ */
+function renderGrandPrixPage(model) {
+    const url = `${SITE_URL}${model.path}`;
+    const pageTitle = `${model.title}: Schedule & Highlights | F1 Highlights Hub`;
+    const description = describe(model);
+    const image = ogImage(model);
+    const seasonPage = SEASON_PAGES[model.year] || '/';
+    const seasonLabel = SEASON_PAGES[model.year] ? `${model.year} archive` : `${model.year} calendar`;
+
+    return `<!DOCTYPE html>
+<html lang="en" data-theme="light">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+
+    <!-- Primary Meta Tags -->
+    <title>${escapeHtml(pageTitle)}</title>
+    <meta name="title" content="${escapeHtml(pageTitle)}">
+    <meta name="description" content="${escapeHtml(description)}">
+    <meta name="author" content="F1 Recap">
+    <meta name="robots" content="index, follow">
+
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="${escapeHtml(url)}">
+    <meta property="og:title" content="${escapeHtml(`${model.title}: Schedule & Highlights`)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:image" content="${escapeHtml(image)}">
+    <meta property="og:site_name" content="F1 Recap">
+
+    <!-- Twitter -->
+    <meta property="twitter:card" content="summary_large_image">
+    <meta property="twitter:url" content="${escapeHtml(url)}">
+    <meta property="twitter:title" content="${escapeHtml(`${model.title}: Schedule & Highlights`)}">
+    <meta property="twitter:description" content="${escapeHtml(description)}">
+    <meta property="twitter:image" content="${escapeHtml(image)}">
+
+    <!-- Favicon -->
+    <link rel="icon" type="image/svg+xml"
+        href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>🏎️</text></svg>">
+
+    <link rel="manifest" href="/manifest.json">
+    <meta name="theme-color" content="#e10600">
+    <link rel="preconnect" href="https://i.ytimg.com">
+
+    <!-- Canonical URL -->
+    <link rel="canonical" href="${escapeHtml(url)}">
+    <link rel="alternate" type="application/atom+xml" title="F1 Recap highlights" href="/data/highlights.atom">
+
+    <!-- Stylesheet -->
+    <link rel="stylesheet"
+        href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;500;600;700&family=Syne:wght@600;700;800&family=Manrope:wght@500;600;700&display=swap">
+    <link rel="stylesheet" href="/assets/styles.css">
+
+    <!-- Structured Data -->
+${structuredData(model).map((data) => `    <script type="application/ld+json">\n${jsonLd(data)}\n    </script>`).join('\n')}
+</head>
+
+<!-- page-home: the weekend card shares the homepage's card styles -->
+<body class="page-home">
+    <div id="site-header"></div>
+
+    <main id="main-content" class="gp-page" tabindex="-1">
+        <nav class="gp-page-breadcrumb" aria-label="Breadcrumb">
+            <a href="${escapeHtml(seasonPage)}">${escapeHtml(seasonLabel)}</a> › <span aria-current="page">${escapeHtml(model.name)}</span>
+        </nav>
+        <header class="gp-page-header">
+            <p class="gp-page-round">Round ${model.round} · ${model.year}${model.hasSprint ? ' · Sprint weekend' : ''}</p>
+            <h1 class="gp-page-title">${escapeHtml(model.title)}</h1>
+            <p class="gp-page-dates">${escapeHtml(formatDateRange(model.startMs, model.endMs))}</p>
+        </header>
+
+        <div id="gpPageCard" class="gp-page-card">
+            <section class="gp-page-section" aria-labelledby="gpScheduleTitle">
+                <h2 class="gp-page-section-title" id="gpScheduleTitle">Schedule</h2>
+                ${renderSchedule(model)}
+            </section>
+            <section class="gp-page-section" aria-labelledby="gpHighlightsTitle">
+                <h2 class="gp-page-section-title" id="gpHighlightsTitle">Highlights</h2>
+                ${renderHighlights(model)}
+            </section>
+        </div>
+    </main>
+
+    <!-- Video Drawer -->
+    <div id="videoDrawer" class="drawer" aria-hidden="true">
+        <div class="drawer-backdrop"></div>
+        <div class="drawer-panel" role="dialog" aria-modal="true" aria-label="Session details">
+            <button class="drawer-close" type="button" aria-label="Close">✕</button>
+            <div class="drawer-body" id="drawerContent"></div>
+        </div>
+    </div>
+
+    <div id="site-footer"></div>
+
+    <script src="/assets/js/components.js"></script>
+    <script>Components.render('grandprix');</script>
+    <script>window.__POSTHOG__ = window.__POSTHOG__ || {};</script>
+    <script src="/posthog-config"></script>
+    <script src="/assets/js/analytics.js"></script>
+    <script src="/assets/js/session-classifier.js"></script>
+    <script src="/assets/js/calendar-state.js"></script>
+    <script src="/assets/js/region-restriction.js"></script>
+    <script src="/assets/js/calendar.js" data-year="${model.year}" data-ics-file="/data/f1-calendar_${model.year}.ics"
+        data-data-base="/data/" data-view="grandprix" data-source="homepage" data-grand-prix="${escapeHtml(model.name)}"></script>
+</body>
+
+</html>
+`;
+}
+
+async function readVideoWeekends(dataDir, year) {
+    const archivePath = path.join(dataDir, `videos-${year}.json`);
+    try {
+        return JSON.parse(await fs.readFile(archivePath, 'utf8')).grandPrixWeekends || [];
+    } catch (err) {
+        // Before the first upload of a season the pages still carry the schedule
+        if (err.code === 'ENOENT') return [];
+        throw new Error(`Failed to read ${archivePath}: ${err.message}`);
+    }
+}
+
+async function seasonsWithCalendars(dataDir) {
+    const files = await fs.readdir(dataDir);
+    return files
+        .map((file) => /^calendar(\d{4})\.json$/.exec(file)?.[1])
+        .filter(Boolean)
+        .map(Number)
+        .sort((a, b) => a - b);
+}
+
+// One model per calendar weekend of a season, in calendar order
+async function loadGrandPrixModels({ year, dataDir }) {
+    const [calendar, videoWeekends, aliases] = await Promise.all([
+        loadCalendarYear(dataDir, year),
+        readVideoWeekends(dataDir, year),
+        loadSeasonAliases(dataDir, year)
+    ]);
+    return calendar.map((weekend, index) => buildGrandPrixModel(weekend, {
+        year,
+        round: index + 1,
+        videoWeekends,
+        aliases
+    }));
+}
+
+/**
+ * Write public/gp/<year>/<slug>/index.html for every weekend of a season and
+ * remove pages of weekends the calendar no longer has. Returns the models built.
+ */
+async function buildGrandPrixPages({ year, dataDir, outDir }) {
+    const models = await loadGrandPrixModels({ year, dataDir });
+
+    const seasonDir = path.join(outDir, String(year));
+    const slugs = new Set();
+    for (const model of models) {
+        const slug = getGrandPrixSlug(model.name, year);
+        if (!slug || slugs.has(slug)) {
+            const err = new Error(`Weekend "${model.name}" has no unique page slug (${slug || 'empty'})`);
+            err.code = 'GP_SLUG_CONFLICT';
+            throw err;
+        }
+        slugs.add(slug);
+        await fs.mkdir(path.join(seasonDir, slug), { recursive: true });
+        await fs.writeFile(path.join(seasonDir, slug, 'index.html'), renderGrandPrixPage(model));
+    }
+
+    for (const entry of await fs.readdir(seasonDir, { withFileTypes: true })) {
+        if (entry.isDirectory() && !slugs.has(entry.name)) {
+            await fs.rm(path.join(seasonDir, entry.name), { recursive: true, force: true });
+        }
+    }
+    return models;
+}
+
+async function main() {
+    const dataDir = path.join(process.cwd(), 'public', 'data');
+    const outDir = path.join(process.cwd(), 'public', 'gp');
+    const yearArg = parseYearArg();
+    const years = yearArg ? [parseInt(yearArg, 10)] : await seasonsWithCalendars(dataDir);
+
+    for (const year of years) {
+        const models = await buildGrandPrixPages({ year, dataDir, outDir });
+        console.log(`🏁 Wrote ${models.length} Grand Prix pages for ${year} under public/gp/${year}/`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('❌ Grand Prix page build failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    buildGrandPrixModel,
+    buildGrandPrixPages,
+    gpPagePath,
+    loadGrandPrixModels,
+    renderGrandPrixPage,
+    seasonsWithCalendars,
+    SITE_URL
+};
@@ -0,0 +1,182 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { loadGrandPrixModels, SITE_URL } = require('./build-gp-pages');
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toDate(value) {
+    const timestamp = Date.parse(value || '');
+    return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString().slice(0, 10);
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`Failed to read ${filePath}: ${err.message}`);
+    }
+}
+
+// The calendar.js tag says which season and view a page shows, and so which data file dates it
+function readCalendarScript(html) {
+    const tag = /<script[^>]*src="[^"]*calendar\.js"[^>]*>/.exec(html)?.[0];
+    if (!tag) return null;
+    const attr = (name) => new RegExp(`\\s${name}="([^"]*)"`).exec(tag)?.[1] || null;
+    return { year: attr('data-year'), view: attr('data-view') };
+}
+
+async function dataLastmod(dataDir, script) {
+    if (!script?.year) return null;
+    if (script.view === 'standings') {
+        return toDate((await readJson(path.join(dataDir, `standings${script.year}.json`)))?.updatedAt);
+    }
+    const videos = (await readJson(path.join(dataDir, `videos-${script.year}.json`)))
+        || (await readJson(path.join(dataDir, 'videos.json')));
+    return toDate(videos?.lastUpdated);
+}
+
+function pageSettings(file, script) {
+    if (file === 'index.html') return { loc: '/', changefreq: 'hourly', priority: '1.0' };
+    const loc = `/${file.replace(/\.html$/, '')}`;
+    if (script?.view === 'standings') return { loc, changefreq: 'hourly', priority: '0.95' };
+    if (/^archive-\d{4}\.html$/.test(file)) return { loc, changefreq: 'weekly', priority: '0.9' };
+    if (file === 'disclosure.html') return { loc, changefreq: 'yearly', priority: '0.3' };
+    return { loc, changefreq: 'monthly', priority: '0.5' };
+}
+
+async function collectTopLevelPages(publicDir) {
+    const dataDir = path.join(publicDir, 'data');
+    const files = (await fs.readdir(publicDir)).filter((file) => file.endsWith('.html')).sort();
+    const entries = [];
+    for (const file of files) {
+        const script = readCalendarScript(await fs.readFile(path.join(publicDir, file), 'utf8'));
+        entries.push({ ...pageSettings(file, script), lastmod: await dataLastmod(dataDir, script) });
+    }
+    return entries.sort((a, b) => Number(b.priority) - Number(a.priority) || a.loc.localeCompare(b.loc));
+}
+
+async function listDirectories(dir) {
+    try {
+        return (await fs.readdir(dir, { withFileTypes: true })).filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+async function fileExists(filePath) {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+    }
+}
+
+/**
+ * Weekend pages under public/gp/<year>/<slug>/, newest season first and in
+ * round order. A page's lastmod is its newest highlight; pages without any yet
+ * carry none rather than a date that says nothing.
+ */
+async function collectGrandPrixPages(publicDir) {
+    const gpDir = path.join(publicDir, 'gp');
+    const years = (await listDirectories(gpDir)).filter((name) => /^\d{4}$/.test(name)).map(Number).sort((a, b) => b - a);
+    const entries = [];
+    for (const year of years) {
+        const models = await loadGrandPrixModels({ year, dataDir: path.join(publicDir, 'data') });
+        const byPath = new Map(models.map((model) => [model.path, model]));
+        const slugs = [];
+        for (const slug of await listDirectories(path.join(gpDir, String(year)))) {
+            if (await fileExists(path.join(gpDir, String(year), slug, 'index.html'))) slugs.push(slug);
+        }
+        const pages = slugs
+            .map((slug) => ({ loc: `/gp/${year}/${slug}/`, model: byPath.get(`/gp/${year}/${slug}/`) }))
+            .sort((a, b) => (a.model?.round ?? Infinity) - (b.model?.round ?? Infinity) || a.loc.localeCompare(b.loc));
+        for (const { loc, model } of pages) {
+            const newest = (model?.videos || []).map((video) => video.publishedAt).sort().pop();
+            entries.push({
+                loc,
+                lastmod: toDate(newest),
+                changefreq: year === years[0] ? 'weekly' : 'yearly',
+                priority: year === years[0] ? '0.7' : '0.6'
+            });
+        }
+    }
+    return entries;
+}
+
+function renderSitemap(entries) {
+    const urls = entries.map((entry) => [
+        '    <url>',
+        `        <loc>${escapeXml(`${SITE_URL}${entry.loc}`)}</loc>`,
+        ...(entry.lastmod ? [`        <lastmod>${entry.lastmod}</lastmod>`] : []),
+        `        <changefreq>${entry.changefreq}</changefreq>`,
+        `        <priority>${entry.priority}</priority>`,
+        '    </url>'
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>'
+    ].join('\n') + '\n';
+}
+
+// The file a sitemap URL is served from: / -> index.html, /standings -> standings.html, /gp/.../ -> gp/.../index.html
+function fileForLoc(loc, publicDir) {
+    const urlPath = decodeURIComponent(new URL(loc).pathname);
+    if (urlPath.endsWith('/')) return path.join(publicDir, urlPath, 'index.html');
+    return path.join(publicDir, path.extname(urlPath) ? urlPath : `${urlPath}.html`);
+}
+
+// Every <loc> in a sitemap whose page is not on disk
+async function findMissingPages(xml, publicDir) {
+    const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((match) => match[1].replace(/&amp;/g, '&'));
+    const missing = [];
+    for (const loc of locs) {
+        if (!(await fileExists(fileForLoc(loc, publicDir)))) missing.push(loc);
+    }
+    return missing;
+}
+
+async function buildSitemap({ publicDir }) {
+    const entries = [...await collectTopLevelPages(publicDir), ...await collectGrandPrixPages(publicDir)];
+    const xml = renderSitemap(entries);
+    await fs.writeFile(path.join(publicDir, 'sitemap.xml'), xml);
+    return entries;
+}
+
+async function main() {
+    const publicDir = path.join(process.cwd(), 'public');
+    const sitemapPath = path.join(publicDir, 'sitemap.xml');
+
+    if (!process.argv.includes('--check')) {
+        const entries = await buildSitemap({ publicDir });
+        console.log(`🗺️  Wrote ${entries.length} URLs to public/sitemap.xml`);
+    }
+
+    const missing = await findMissingPages(await fs.readFile(sitemapPath, 'utf8'), publicDir);
+    if (missing.length) {
+        const err = new Error(`sitemap.xml lists ${missing.length} URL(s) with no page:\n  ${missing.join('\n  ')}`);
+        err.code = 'SITEMAP_MISSING_PAGES';
+        throw err;
+    }
+    console.log('✅ Every sitemap URL has a page');
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('❌ Sitemap build failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildSitemap, collectGrandPrixPages, collectTopLevelPages, findMissingPages, renderSitemap };
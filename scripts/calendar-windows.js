@@ -0,0 +1,240 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getSeasonAliases, grandPrixNamesMatch, readCalendarEntries } = require('../public/assets/js/calendar-state');
+const { getSessionType, getVideoSessionType } = require('../public/assets/js/session-classifier');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeSession(session, fallbackDate) {
+    if (typeof session === 'string') {
+        return { title: session, publishedAt: null };
+    }
+    return {
+        title: session?.title || '',
+        publishedAt: session?.publishedAt || session?.startDate || fallbackDate || null
+    };
+}
+
+async function loadCalendarYear(dataDir, year) {
+    const calendarPath = path.join(dataDir, `calendar${year}.json`);
+    try {
+        const raw = await fs.readFile(calendarPath, 'utf8');
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed) && !Array.isArray(parsed?.weekends)) {
+            throw new Error('Calendar JSON has no weekends array');
+        }
+        return readCalendarEntries(parsed, `calendar${year}.json`)
+            .filter((entry) => typeof entry?.name === 'string' && typeof entry?.startDate === 'string')
+            .map((entry) => ({
+                name: entry.name,
+                startDate: entry.startDate,
+                sessions: (entry.sessions || []).map((s) => normalizeSession(s, null))
+            }));
+    } catch (err) {
+        throw new Error(`Failed to load calendar for ${year} at ${calendarPath}: ${err.message}`);
+    }
+}
+
+/**
+ * One season of public/data/grand-prix-aliases.json (calendar name -> variants and
+ * hashtags). A missing file, or a season it does not list, means no aliases.
+ */
+async function loadSeasonAliases(dataDir, year) {
+    const aliasPath = path.join(dataDir, 'grand-prix-aliases.json');
+    let parsed;
+    try {
+        parsed = JSON.parse(await fs.readFile(aliasPath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw new Error(`Failed to load Grand Prix aliases at ${aliasPath}: ${err.message}`);
+    }
+    return getSeasonAliases(parsed, year);
+}
+
+/**
+ * Publish windows around each calendar weekend, relative to its first session.
+ * Defaults match YT_WINDOW_START_DAYS=-1 / YT_WINDOW_END_DAYS=3.
+ */
+function buildWeekendWindows(calendarEntries, year, { startDays = -1, endDays = 3 } = {}) {
+    return (calendarEntries || []).map((entry, index) => {
+        const start = Date.parse(entry.startDate);
+        return {
+            name: `${year} ${entry.name}`,
+            calendarName: entry.name,
+            round: index + 1,
+            entry,
+            start,
+            windowStart: start + startDays * ONE_DAY_MS,
+            windowEnd: start + endDays * ONE_DAY_MS
+        };
+    });
+}
+
+/**
+ * Pick the weekend whose publish window contains `publishedAt`. Only when windows
+ * overlap does the title get a say: a window whose calendar name matches the
+ * title hint (directly or through the season's aliases) wins, otherwise the
+ * weekend that started most recently.
+ */
+function findWeekendForVideo(windows, { publishedAt, titleHint = '' }, year, aliases) {
+    const ts = Date.parse(publishedAt);
+    if (Number.isNaN(ts)) return null;
+
+    const candidates = (windows || []).filter((w) => ts >= w.windowStart && ts <= w.windowEnd);
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    const byTitle = titleHint
+        ? candidates.find((w) => grandPrixNamesMatch(w.calendarName, titleHint, year, aliases))
+        : null;
+    if (byTitle) return byTitle;
+
+    const started = candidates.filter((w) => w.start <= ts).sort((a, b) => b.start - a.start);
+    return started[0] || candidates.sort((a, b) => a.start - b.start)[0];
+}
+
+/**
+ * Group search-like videos ({ id: { videoId }, snippet }) into one entry per
+ * calendar weekend, in calendar order. Weekends with no videos are kept so the
+ * caller decides whether to show them. Videos outside every window are returned
+ * separately as `unmatched`. Videos for which `extraCategory` returns a category
+ * go to the weekend's `extras` instead and do not move its `latestDate`.
+ */
+function groupVideosByCalendarWindow(videos, windows, { year, aliases, titleHint = () => '', extraCategory = () => null } = {}) {
+    const byName = new Map(windows.map((w) => [w.name, { name: w.name, videos: [], extras: [], latestDate: null }]));
+    const seen = new Set();
+    const unmatched = [];
+
+    for (const video of videos || []) {
+        const videoId = video?.id?.videoId;
+        const publishedAt = video?.snippet?.publishedAt;
+        if (!videoId || seen.has(videoId)) continue;
+
+        const weekend = findWeekendForVideo(windows, {
+            publishedAt,
+            titleHint: titleHint(video?.snippet?.title || '')
+        }, year, aliases);
+        if (!weekend) {
+            unmatched.push(video);
+            continue;
+        }
+        seen.add(videoId);
+
+        const group = byName.get(weekend.name);
+        const record = {
+            videoId,
+            title: video?.snippet?.title || '',
+            description: video?.snippet?.description || '',
+            publishedAt,
+            thumbnail: video?.snippet?.thumbnails?.high?.url || video?.snippet?.thumbnails?.default?.url || ''
+        };
+        if (video?.snippet?.channelId) {
+            record.channelId = video.snippet.channelId;
+            record.channelName = video.snippet.channelTitle || '';
+        }
+
+        const category = extraCategory(video);
+        if (category) {
+            group.extras.push({ ...record, category });
+            continue;
+        }
+        group.videos.push(record);
+
+        const ts = Date.parse(publishedAt);
+        const prev = group.latestDate ? Date.parse(group.latestDate) : null;
+        if (!prev || ts > prev) {
+            group.latestDate = new Date(ts).toISOString();
+        }
+    }
+
+    return {
+        groups: windows.map((w) => byName.get(w.name)),
+        unmatched
+    };
+}
+
+/** The window for a stored weekend name: exact first, then by calendar name and aliases. */
+function findWindowForWeekend(windows, weekendName, year, aliases) {
+    return (windows || []).find((w) => w.name === weekendName) ||
+        (windows || []).find((w) => grandPrixNamesMatch(w.calendarName, weekendName, year, aliases)) ||
+        null;
+}
+
+/**
+ * Comparator for one weekend's videos: by their session's place on the calendar
+ * entry, so whether the sprint runs before qualifying comes from the calendar
+ * rather than from code. Sessions are placed by start time when every one has a
+ * time, and by their position on the entry otherwise (2025 lists bare names).
+ * Videos whose session is not on the entry (or with no entry at all) come last,
+ * oldest first; within one session the newest upload comes first.
+ */
+function compareBySessionStart(entry) {
+    const sessions = (entry?.sessions || [])
+        .map((session, index) => ({
+            type: getSessionType(typeof session === 'string' ? session : session?.title),
+            start: typeof session === 'object' ? Date.parse(session?.publishedAt) : NaN,
+            index
+        }))
+        .filter((session) => session.type !== 'other');
+    if (sessions.every((session) => !Number.isNaN(session.start))) {
+        sessions.sort((a, b) => a.start - b.start || a.index - b.index);
+    }
+    const ranks = new Map();
+    sessions.forEach(({ type }) => {
+        if (!ranks.has(type)) ranks.set(type, ranks.size);
+    });
+    const rankOf = (video) => ranks.get(getVideoSessionType(video)) ?? Infinity;
+
+    return (a, b) => {
+        const rankA = rankOf(a);
+        const rankB = rankOf(b);
+        if (rankA !== rankB) return rankA - rankB;
+        const age = (Date.parse(a.publishedAt) || 0) - (Date.parse(b.publishedAt) || 0);
+        return rankA === Infinity ? age : -age;
+    };
+}
+
+/**
+ * Stamp each weekend and its records with the calendar keys the site joins on:
+ * `round`, `calendarName` and `weekendStart`, plus the canonical `session` on
+ * session videos and their alternates. `session` is worked out again on every
+ * call (sessionType override, else title), so it never outlives an override.
+ * Weekends the calendar does not know lose any keys they had.
+ */
+function annotateWeekends(weekends, windows, year, aliases) {
+    const strip = ({ round, calendarName, weekendStart, ...rest }) => rest;
+    return (weekends || []).map((gp) => {
+        const window = findWindowForWeekend(windows, gp.name, year, aliases);
+        const keys = window
+            ? { round: window.round, calendarName: window.calendarName, weekendStart: window.entry.startDate }
+            : {};
+        const withSession = (video) => ({ ...strip(video), session: getVideoSessionType(video), ...keys });
+        return {
+            ...strip(gp),
+            ...keys,
+            videos: (gp.videos || []).map((video) => {
+                const record = withSession(video);
+                if (video.alternates) record.alternates = video.alternates.map(withSession);
+                return record;
+            }),
+            ...(gp.extras ? { extras: gp.extras.map((extra) => ({ ...strip(extra), ...keys })) } : {})
+        };
+    });
+}
+
+/** Extras list grouped by category, oldest first within a category. */
+function compareExtras(a, b) {
+    return String(a.category || '').localeCompare(String(b.category || '')) ||
+        Date.parse(a.publishedAt) - Date.parse(b.publishedAt);
+}
+
+module.exports = {
+    annotateWeekends,
+    buildWeekendWindows,
+    compareBySessionStart,
+    compareExtras,
+    findWeekendForVideo,
+    findWindowForWeekend,
+    groupVideosByCalendarWindow,
+    loadCalendarYear,
+    loadSeasonAliases
+};
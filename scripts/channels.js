@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { ClassificationRules } = require('./classification-rules');
+const { getVideoSessionType } = require('../public/assets/js/session-classifier');
+
+const SUPPORTED_VERSION = 1;
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'channels.json');
+
+/**
+ * Channels to ingest, highest priority first. Each channel's `rules` names a
+ * classification file relative to the channels config (default: the shared
+ * CLASSIFICATION_RULES_PATH / config/classification.json). `enabled: false` skips it.
+ */
+function loadChannels({ year = null, configPath = process.env.CHANNELS_CONFIG_PATH || DEFAULT_CONFIG_PATH } = {}) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Failed to load channels config at ${configPath}: ${err.message}`);
+    }
+    if (config?.version !== SUPPORTED_VERSION) {
+        throw new Error(`Unsupported channels config version ${config?.version}; expected ${SUPPORTED_VERSION}`);
+    }
+
+    const seen = new Set();
+    const channels = (config.channels || [])
+        .filter((channel) => channel?.enabled !== false)
+        .map((channel, index) => {
+            if (!channel?.id) throw new Error(`Channel at index ${index} has no id`);
+            if (seen.has(channel.id)) throw new Error(`Duplicate channel id "${channel.id}"`);
+            seen.add(channel.id);
+
+            const rules = channel.rules
+                ? ClassificationRules.load({ year, configPath: path.resolve(path.dirname(configPath), channel.rules) })
+                : ClassificationRules.load({ year });
+            return {
+                id: channel.id,
+                name: channel.name || channel.id,
+                priority: Number(channel.priority) || 0,
+                rules,
+                index
+            };
+        })
+        .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+    if (channels.length === 0) {
+        throw new Error(`No enabled channels in ${configPath}`);
+    }
+    return channels;
+}
+
+/**
+ * Collapse videos of the same session from different channels: the video from the
+ * highest-priority channel stays in the list and the rest move to its `alternates`.
+ * Videos flagged `unavailable` only stay primary when no alternate is watchable.
+ * Ids in `preferred` (the overrides file's `primary` list) win over channel priority.
+ * Videos without a channelId predate multi-channel ingestion and count as the
+ * first configured channel. Re-running on already selected videos is safe.
+ */
+function selectPrimaryVideos(videos, channels, { preferred = [] } = {}) {
+    const preferredIds = new Set(preferred);
+    const priorityById = new Map((channels || []).map((channel) => [channel.id, channel.priority]));
+    const fallbackPriority = channels?.[0]?.priority || 0;
+    const priorityOf = (video) => (
+        video.channelId && priorityById.has(video.channelId) ? priorityById.get(video.channelId) : fallbackPriority
+    );
+
+    const pool = [];
+    const seen = new Set();
+    for (const video of videos || []) {
+        for (const candidate of [video, ...(video?.alternates || [])]) {
+            if (!candidate?.videoId || seen.has(candidate.videoId)) continue;
+            seen.add(candidate.videoId);
+            const { alternates, ...record } = candidate;
+            pool.push(record);
+        }
+    }
+
+    const bySession = new Map();
+    for (const video of pool) {
+        const type = getVideoSessionType(video);
+        const key = type === 'other' ? `other:${video.videoId}` : type;
+        if (!bySession.has(key)) bySession.set(key, []);
+        bySession.get(key).push(video);
+    }
+
+    const alternatesFor = new Map();
+    const dropped = new Set();
+    for (const group of bySession.values()) {
+        const available = group.filter((video) => !video.unavailable);
+        const candidates = available.length > 0 ? available : group;
+        const forced = candidates.filter((video) => preferredIds.has(video.videoId));
+        const top = Math.max(...candidates.map(priorityOf));
+        const primaries = forced.length > 0 ? forced : candidates.filter((video) => priorityOf(video) === top);
+        const others = group
+            .filter((video) => !primaries.includes(video))
+            .sort((a, b) => (
+                Number(Boolean(a.unavailable)) - Number(Boolean(b.unavailable)) ||
+                priorityOf(b) - priorityOf(a) ||
+                Date.parse(a.publishedAt) - Date.parse(b.publishedAt)
+            ));
+        if (others.length === 0) continue;
+
+        alternatesFor.set(primaries[0].videoId, others);
+        others.forEach((video) => dropped.add(video.videoId));
+    }
+
+    return pool
+        .filter((video) => !dropped.has(video.videoId))
+        .map((video) => (
+            alternatesFor.has(video.videoId) ? { ...video, alternates: alternatesFor.get(video.videoId) } : video
+        ));
+}
+
+module.exports = { loadChannels, selectPrimaryVideos };
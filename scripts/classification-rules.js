@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { getSessionType } = require('../public/assets/js/session-classifier');
+
+const SUPPORTED_VERSION = 1;
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'classification.json');
+const FIELDS = new Set(['title', 'description', 'any']);
+const ACTIONS = new Set(['include', 'exclude', 'extra']);
+const CATEGORY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function compileMatcher(entry, label) {
+    const field = entry.field || 'title';
+    if (!FIELDS.has(field)) {
+        throw new Error(`Classification ${label} "${entry.id}": unknown field "${field}"`);
+    }
+
+    const keywords = (entry.keywords || []).map((keyword) => String(keyword).toLowerCase());
+    const patterns = (entry.patterns || []).map((pattern) => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (err) {
+            throw new Error(`Classification ${label} "${entry.id}": invalid pattern ${pattern} (${err.message})`);
+        }
+    });
+
+    if (keywords.length === 0 && patterns.length === 0) {
+        throw new Error(`Classification ${label} "${entry.id}" needs at least one keyword or pattern`);
+    }
+
+    return { id: entry.id, field, keywords, patterns };
+}
+
+function matches(matcher, { title, description }) {
+    const texts = matcher.field === 'any'
+        ? [title, description]
+        : [matcher.field === 'title' ? title : description];
+
+    return texts.some((text) => (
+        matcher.keywords.some((keyword) => text.includes(keyword)) ||
+        matcher.patterns.some((pattern) => pattern.test(text))
+    ));
+}
+
+function mergeSeason(config, year) {
+    const season = config.seasons?.[String(year)] || {};
+    const disabled = new Set(season.disableRules || []);
+    const overrides = new Map((season.rules || []).map((rule) => [rule.id, rule]));
+
+    const rules = (config.rules || [])
+        .filter((rule) => !disabled.has(rule.id))
+        .map((rule) => overrides.get(rule.id) || rule);
+    const baseIds = new Set(rules.map((rule) => rule.id));
+    (season.rules || []).forEach((rule) => {
+        if (!baseIds.has(rule.id) && !disabled.has(rule.id)) rules.push(rule);
+    });
+
+    return {
+        sessionTypes: season.sessionTypes || config.sessionTypes || [],
+        rules,
+        requirements: (config.requirements || []).filter((req) => !disabled.has(req.id))
+    };
+}
+
+class ClassificationRules {
+    constructor(config, { year = null } = {}) {
+        if (config?.version !== SUPPORTED_VERSION) {
+            throw new Error(`Unsupported classification rules version ${config?.version}; expected ${SUPPORTED_VERSION}`);
+        }
+
+        const merged = mergeSeason(config, year);
+        const seenIds = new Set();
+
+        this.version = config.version;
+        this.year = year;
+        this.sessionTypes = new Set(merged.sessionTypes);
+        this.rules = merged.rules
+            .map((rule, index) => {
+                if (!rule?.id) throw new Error(`Classification rule at index ${index} has no id`);
+                if (seenIds.has(rule.id)) throw new Error(`Duplicate classification rule id "${rule.id}"`);
+                seenIds.add(rule.id);
+                if (!ACTIONS.has(rule.action)) {
+                    throw new Error(`Classification rule "${rule.id}": unknown action "${rule.action}"`);
+                }
+                if (rule.action === 'extra' && !CATEGORY_PATTERN.test(rule.category || '')) {
+                    throw new Error(`Classification rule "${rule.id}": extra rules need a kebab-case category`);
+                }
+                return {
+                    ...compileMatcher(rule, 'rule'),
+                    action: rule.action,
+                    category: rule.action === 'extra' ? rule.category : null,
+                    priority: Number(rule.priority) || 0,
+                    index
+                };
+            })
+            // Highest priority first; on a tie, excludes win, then file order.
+            .sort((a, b) => (
+                b.priority - a.priority ||
+                (a.action === 'exclude' ? 0 : 1) - (b.action === 'exclude' ? 0 : 1) ||
+                a.index - b.index
+            ));
+        this.requirements = merged.requirements.map((req) => compileMatcher(req, 'requirement'));
+    }
+
+    static load({ year = null, configPath = process.env.CLASSIFICATION_RULES_PATH || DEFAULT_CONFIG_PATH } = {}) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (err) {
+            throw new Error(`Failed to load classification rules at ${configPath}: ${err.message}`);
+        }
+        return new ClassificationRules(config, { year });
+    }
+
+    /**
+     * Decide whether an uploads-playlist snippet is a session recap we keep.
+     * Every decision names the rule (or built-in check) that made it; secondary
+     * content matched by an `extra` rule is not included but carries its `extra` category.
+     */
+    evaluate({ title = '', description = '' } = {}) {
+        const text = {
+            title: String(title || '').toLowerCase(),
+            description: String(description || '').toLowerCase()
+        };
+        const sessionType = getSessionType(text.title);
+        const decide = (included, ruleId, reason) => ({ included, ruleId, reason, sessionType });
+
+        const rule = this.rules.find((candidate) => matches(candidate, text));
+        if (rule && rule.action === 'exclude') {
+            return decide(false, rule.id, `matched exclude rule (${rule.field})`);
+        }
+
+        if (rule && rule.action === 'extra') {
+            // Extras are not session recaps, so only the requirements apply.
+            const unmet = this.requirements.find((requirement) => !matches(requirement, text));
+            if (unmet) {
+                return decide(false, unmet.id, `requirement not met (${unmet.field})`);
+            }
+            return { ...decide(false, rule.id, `matched extra rule (${rule.field})`), extra: rule.category };
+        }
+
+        if (!this.sessionTypes.has(sessionType)) {
+            return decide(false, 'session-type', `session type "${sessionType}" is not allowed`);
+        }
+
+        const missing = this.requirements.find((requirement) => !matches(requirement, text));
+        if (missing) {
+            return decide(false, missing.id, `requirement not met (${missing.field})`);
+        }
+
+        if (!rule) {
+            return decide(false, 'no-include-rule', 'no include rule matched');
+        }
+
+        return decide(true, rule.id, `matched include rule (${rule.field})`);
+    }
+}
+
+function summarizeDecisions(decisions) {
+    const counts = new Map();
+    for (const decision of decisions) {
+        const outcome = decision.included ? 'kept' : decision.extra ? 'extra' : 'dropped';
+        const key = `${outcome}:${decision.ruleId}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => `${key}=${count}`)
+        .join(', ');
+}
+
+module.exports = { ClassificationRules, summarizeDecisions };
@@ -0,0 +1,363 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { YouTubeClient } = require('./youtube-client');
+const calendarWindows = require('./calendar-windows');
+const { loadChannels, selectPrimaryVideos } = require('./channels');
+const { assertValidArtifact, SCHEMA_VERSION } = require('./data-schemas');
+const { assertNoShrink, writeJsonAtomic } = require('./data-guard');
+const {
+    applyOverridesWithLookup,
+    loadOverrides,
+    overridesPath,
+    parseOverrides
+} = require('./overrides');
+const { quarantinePath, readQuarantine, updateQuarantine } = require('./quarantine');
+const { grandPrixNamesMatch } = require('../public/assets/js/calendar-state');
+const {
+    getSessionLabel,
+    getSessionType,
+    getVideoSessionType,
+    SESSION_TYPES
+} = require('../public/assets/js/session-classifier');
+
+const USAGE = `Usage: npm run curate -- <command> [options]
+
+Commands:
+  add <videoId> --weekend <name> [--session <type>]   Pin a video (looked up on YouTube if needed)
+  move <videoId> --weekend <name> [--session <type>]  Pin a video that is already in the data
+  exclude <videoId> [--reason <text>]                Remove a video and keep it out
+  list-missing                                       Past sessions that have no video
+  explain <videoId>                                  Where a video is and why
+
+Options:
+  --year <YYYY>    Season (default: TARGET_YEAR or the current year)
+  --dry-run        Show what would change without writing
+
+Session types: ${SESSION_TYPES.map((entry) => entry.type).join(', ')}`;
+
+function parseArgs(argv = process.argv.slice(2)) {
+    const args = { command: null, videoId: null, options: {} };
+    const positional = [];
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [key, inline] = arg.slice(2).split(/=(.*)/s);
+        if (key === 'dry-run' || key === 'help') {
+            args.options[key] = true;
+        } else {
+            args.options[key] = inline !== undefined ? inline : argv[++i];
+        }
+    }
+    [args.command = null, args.videoId = null] = positional;
+    return args;
+}
+
+function createClient() {
+    const clientOptions = YouTubeClient.optionsFromEnv();
+    const apiKey = process.env.YOUTUBE_API_KEY;
+    if (!apiKey && clientOptions.cassette !== 'replay') return null;
+    return new YouTubeClient({ apiKey, ...clientOptions });
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`Failed to read ${filePath}: ${err.message}`);
+    }
+}
+
+/** The raw overrides file, so entries we do not touch keep their order and notes. */
+async function readOverridesFile(configPath) {
+    return (await readJson(configPath)) || {
+        version: 1,
+        pins: [],
+        exclude: [],
+        titles: {},
+        sessionTypes: {},
+        primary: []
+    };
+}
+
+function excludedId(entry) {
+    return typeof entry === 'string' ? entry : entry?.videoId;
+}
+
+function setPin(config, { videoId, weekend, session }) {
+    const pin = { videoId, weekend };
+    if (session) pin.session = session;
+    config.pins = (config.pins || []).filter((existing) => existing.videoId !== videoId).concat(pin);
+    config.exclude = (config.exclude || []).filter((entry) => excludedId(entry) !== videoId);
+}
+
+function setExclude(config, { videoId, reason }) {
+    config.pins = (config.pins || []).filter((pin) => pin.videoId !== videoId);
+    config.exclude = (config.exclude || []).filter((entry) => excludedId(entry) !== videoId);
+    config.exclude.push(reason ? { videoId, reason } : videoId);
+}
+
+function findRecords(data, videoId) {
+    const found = [];
+    for (const gp of data?.grandPrixWeekends || []) {
+        for (const video of gp.videos || []) {
+            if (video.videoId === videoId) found.push({ weekend: gp.name, kind: 'video', record: video });
+            (video.alternates || []).forEach((alt) => {
+                if (alt.videoId === videoId) found.push({ weekend: gp.name, kind: `alternate of ${video.videoId}`, record: alt });
+            });
+        }
+        (gp.extras || []).forEach((extra) => {
+            if (extra.videoId === videoId) found.push({ weekend: gp.name, kind: 'extra', record: extra });
+        });
+    }
+    return found;
+}
+
+/**
+ * Re-apply the season's overrides to videos-YYYY.json, and to videos.json when it
+ * shows that season, the same way the fetchers do after a merge. videos.json keeps
+ * its current weekends and takes their updated contents from the archive.
+ */
+async function regenerateOutputs({ year, dataDir, yt, channels, overrides, dryRun = false, quarantineFile = quarantinePath(year) }) {
+    const archivePath = path.join(dataDir, `videos-${year}.json`);
+    const feedPath = path.join(dataDir, 'videos.json');
+    const archive = await readJson(archivePath);
+    if (!archive) throw new Error(`No ${path.basename(archivePath)} to curate; run npm run fetch-archive first`);
+
+    const { weekends, stale } = await applyOverridesWithLookup(yt, archive.grandPrixWeekends || [], overrides);
+    const windows = calendarWindows.buildWeekendWindows(await calendarWindows.loadCalendarYear(dataDir, year), year);
+    const aliases = await calendarWindows.loadSeasonAliases(dataDir, year);
+    const grandPrixWeekends = calendarWindows.annotateWeekends(weekends.map((gp) => {
+        const window = calendarWindows.findWindowForWeekend(windows, gp.name, year, aliases);
+        const videos = selectPrimaryVideos(gp.videos || [], channels, { preferred: overrides.primary });
+        return { ...gp, videos: videos.sort(calendarWindows.compareBySessionStart(window?.entry)) };
+    }), windows, year, aliases);
+    const build = (list, extra = {}) => ({
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: new Date().toISOString(),
+        totalVideos: list.reduce((sum, gp) => sum + (gp.videos?.length || 0), 0),
+        grandPrixWeekends: list,
+        ...extra
+    });
+
+    const writes = [{
+        filePath: archivePath,
+        type: 'videos-archive',
+        data: build(grandPrixWeekends, archive.year !== undefined ? { year: archive.year } : {})
+    }];
+    const feed = await readJson(feedPath);
+    const feedWeekends = feed?.grandPrixWeekends || [];
+    if (feedWeekends.length && feedWeekends.every((gp) => String(gp.name).startsWith(`${year} `))) {
+        const byName = new Map(grandPrixWeekends.map((gp) => [gp.name, gp]));
+        const list = feedWeekends.map((gp) => byName.get(gp.name) || gp);
+        writes.push({ filePath: feedPath, type: 'videos', data: build(list), rolling: true });
+    }
+
+    writes.forEach(({ filePath, type, data }) => assertValidArtifact(type, data, path.basename(filePath)));
+    // Curating is deliberate, so shrinking is reported but allowed
+    await assertNoShrink(writes, { allowShrink: true });
+    if (!yt && stale.some((entry) => entry.kind === 'pin')) {
+        console.warn('Set YOUTUBE_API_KEY to look up pinned videos that are not in the data yet.');
+    }
+    if (dryRun) {
+        console.log(`Dry run: would write ${writes.map((w) => path.basename(w.filePath)).join(' and ')}`);
+        return { writes, stale };
+    }
+    for (const { filePath, data } of writes) {
+        await writeJsonAtomic(filePath, data);
+        console.log(`✅ Regenerated ${path.relative(process.cwd(), filePath)}`);
+    }
+    // A quarantined video that is now pinned has been reviewed
+    await updateQuarantine({ year, weekends: grandPrixWeekends, aliases, filePath: quarantineFile });
+    return { writes, stale };
+}
+
+async function pinVideo({ year, videoId, options, requireInData, context }) {
+    const { dataDir, yt, configPath } = context;
+    if (!options.weekend) throw new Error('--weekend is required');
+    const session = options.session || null;
+    if (session && !SESSION_TYPES.some((entry) => entry.type === session)) {
+        throw new Error(`Unknown session type "${session}"`);
+    }
+
+    const archive = await readJson(path.join(dataDir, `videos-${year}.json`));
+    const existing = findRecords(archive, videoId);
+    if (requireInData && existing.length === 0) {
+        throw new Error(`${videoId} is not in videos-${year}.json; use add instead`);
+    }
+    if (existing.length === 0 && yt) {
+        const [item] = await yt.listVideosByIds([videoId], { parts: ['snippet'] });
+        if (!item) throw new Error(`YouTube has no video ${videoId}`);
+        console.log(`Found "${item.snippet?.title}" (${item.snippet?.publishedAt})`);
+    }
+
+    const weekendExists = (archive?.grandPrixWeekends || []).some((gp) => (
+        gp.name === options.weekend || grandPrixNamesMatch(gp.name, options.weekend, year)
+    ));
+    if (!weekendExists) throw new Error(`No weekend matching "${options.weekend}" in videos-${year}.json`);
+
+    const config = await readOverridesFile(configPath);
+    setPin(config, { videoId, weekend: options.weekend, session });
+    return config;
+}
+
+async function saveAndRegenerate(config, { year, context, options }) {
+    const { configPath, dataDir, yt } = context;
+    // Parsed exactly as the fetchers will load it, before anything is written
+    const overrides = parseOverrides(config, { year, configPath });
+    if (!options['dry-run']) {
+        await fs.mkdir(path.dirname(configPath), { recursive: true });
+        await fs.writeFile(configPath, `${JSON.stringify(config, null, 2)}\n`);
+        console.log(`📝 Updated ${path.relative(process.cwd(), configPath)}`);
+    }
+    await regenerateOutputs({
+        year,
+        dataDir,
+        yt,
+        channels: loadChannels({ year }),
+        overrides,
+        dryRun: Boolean(options['dry-run'])
+    });
+}
+
+async function listMissing({ year, context, now = Date.now() }) {
+    const calendar = await calendarWindows.loadCalendarYear(context.dataDir, year);
+    const archive = await readJson(path.join(context.dataDir, `videos-${year}.json`));
+    const weekends = archive?.grandPrixWeekends || [];
+    const missing = [];
+
+    for (const entry of calendar) {
+        const past = entry.sessions.filter((session) => {
+            const time = Date.parse(session.publishedAt || entry.startDate);
+            return !Number.isNaN(time) && time < now;
+        });
+        if (!past.length) continue;
+
+        const gp = weekends.find((weekend) => grandPrixNamesMatch(weekend.name, entry.name, year));
+        const present = new Set((gp?.videos || []).filter((video) => !video.unavailable).map(getVideoSessionType));
+        const types = past.map((session) => getSessionType(session.title)).filter((type) => type !== 'other' && !present.has(type));
+        if (types.length) missing.push({ weekend: gp?.name || `${year} ${entry.name}`, sessions: types });
+    }
+
+    if (!missing.length) {
+        console.log(`Every past ${year} session has a video.`);
+    }
+    missing.forEach(({ weekend, sessions }) => {
+        console.log(`${weekend}: ${sessions.map(getSessionLabel).join(', ')}`);
+    });
+    return missing;
+}
+
+async function explain({ year, videoId, context }) {
+    const { dataDir, yt, configPath } = context;
+    const lines = [];
+    for (const file of [`videos-${year}.json`, 'videos.json']) {
+        for (const found of findRecords(await readJson(path.join(dataDir, file)), videoId)) {
+            const { record } = found;
+            const session = record.sessionType
+                ? `${getSessionLabel(record.sessionType)} (override)`
+                : getSessionLabel(getSessionType(record.title));
+            lines.push(`${file}: ${found.weekend}, ${found.kind}, session ${session}`);
+            if (record.originalTitle) lines.push(`  title overridden; YouTube title "${record.originalTitle}"`);
+            if (record.category) lines.push(`  extra category ${record.category}`);
+            if (record.unavailable) lines.push(`  unavailable since ${record.unavailableAt} (${record.unavailableReason})`);
+            if (record.regionRestriction) lines.push(`  region restriction ${JSON.stringify(record.regionRestriction)}`);
+        }
+    }
+    if (!lines.length) lines.push(`Not in videos-${year}.json or videos.json`);
+
+    const overrides = loadOverrides({ year, configPath });
+    const pin = overrides.pins.find((entry) => entry.videoId === videoId);
+    if (pin) lines.push(`Pinned to ${pin.weekend}${pin.session ? ` as ${pin.session}` : ''} in ${path.basename(configPath)}`);
+    if (overrides.exclude.has(videoId)) {
+        lines.push(`Excluded in ${path.basename(configPath)}${overrides.exclude.get(videoId) ? `: ${overrides.exclude.get(videoId)}` : ''}`);
+    }
+    if (overrides.titles.has(videoId)) lines.push(`Title override: "${overrides.titles.get(videoId)}"`);
+    if (overrides.sessionTypes.has(videoId)) lines.push(`Session type override: ${overrides.sessionTypes.get(videoId)}`);
+    if (overrides.primary.includes(videoId)) lines.push('Forced primary for its session');
+    const quarantined = (await readQuarantine(quarantinePath(year)))?.videos?.find((entry) => entry.videoId === videoId);
+    if (quarantined) {
+        const suggestion = quarantined.suggestedWeekend ? `; aliases suggest ${quarantined.suggestedWeekend}` : '';
+        lines.push(`Quarantined since ${quarantined.firstSeenAt}: ${quarantined.reason}${suggestion}`);
+    }
+
+    if (!yt) {
+        lines.push('Set YOUTUBE_API_KEY to see how the classification rules and calendar windows treat it.');
+    } else {
+        const [item] = await yt.listVideosByIds([videoId], { parts: ['snippet'] });
+        if (!item) {
+            lines.push('YouTube does not return this video (removed or private)');
+        } else {
+            const snippet = item.snippet || {};
+            const channels = loadChannels({ year });
+            const channel = channels.find((entry) => entry.id === snippet.channelId);
+            const decision = (channel || channels[0]).rules.evaluate(snippet);
+            lines.push(`YouTube: "${snippet.title}" by ${snippet.channelTitle || snippet.channelId}, ${snippet.publishedAt}`);
+            if (!channel) lines.push('  channel is not in config/channels.json; judged by the first channel\'s rules');
+            lines.push(`  rules: ${decision.extra ? `extra (${decision.extra})` : decision.included ? 'included' : 'excluded'} by ${decision.ruleId}: ${decision.reason}`);
+
+            const calendar = await calendarWindows.loadCalendarYear(dataDir, year);
+            const windows = calendarWindows.buildWeekendWindows(calendar, year);
+            const aliases = await calendarWindows.loadSeasonAliases(dataDir, year);
+            const window = calendarWindows.findWeekendForVideo(windows, {
+                publishedAt: snippet.publishedAt,
+                titleHint: snippet.title
+            }, year, aliases);
+            lines.push(`  publish window: ${window ? window.name : 'outside every weekend window'}`);
+        }
+    }
+
+    lines.forEach((line) => console.log(line));
+    return lines;
+}
+
+async function main() {
+    const { command, videoId, options } = parseArgs();
+    if (!command || options.help) {
+        console.log(USAGE);
+        return;
+    }
+    const year = parseInt(options.year || process.env.TARGET_YEAR || new Date().getUTCFullYear(), 10);
+    if (!Number.isInteger(year) || year < 2000) throw new Error(`Invalid year: ${options.year}`);
+    if (['add', 'move', 'exclude', 'explain'].includes(command) && !videoId) {
+        throw new Error(`${command} needs a videoId\n\n${USAGE}`);
+    }
+
+    const yt = createClient();
+    const context = {
+        yt,
+        dataDir: path.join(process.cwd(), 'public', 'data'),
+        configPath: overridesPath(year)
+    };
+
+    try {
+        if (command === 'add' || command === 'move') {
+            const config = await pinVideo({ year, videoId, options, requireInData: command === 'move', context });
+            await saveAndRegenerate(config, { year, context, options });
+        } else if (command === 'exclude') {
+            const config = await readOverridesFile(context.configPath);
+            setExclude(config, { videoId, reason: options.reason || null });
+            await saveAndRegenerate(config, { year, context, options });
+        } else if (command === 'list-missing') {
+            await listMissing({ year, context });
+        } else if (command === 'explain') {
+            await explain({ year, videoId, context });
+        } else {
+            throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+        }
+    } finally {
+        if (yt) await yt.writeUsageReport({ script: 'curate', command, year });
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { explain, listMissing, parseArgs, regenerateOutputs, setExclude, setPin };
@@ -0,0 +1,306 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { readCalendarEntries } = require('../public/assets/js/calendar-state');
+const { getSessionLabel, getVideoSessionType } = require('../public/assets/js/session-classifier');
+
+const DATA_DIR = path.join('public', 'data');
+
+function parseArgs(argv = process.argv.slice(2)) {
+    const args = { base: 'HEAD', headline: false };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (arg === '--headline') args.headline = true;
+        else if (arg === '--base') args.base = argv[++i];
+        else if (arg.startsWith('--base=')) args.base = arg.split('=')[1];
+    }
+    return args;
+}
+
+function reportedFile(name) {
+    return /^(videos-\d{4}|calendar\d{4}|standings\d{4})\.json$/.test(name);
+}
+
+/** { fileName: parsed JSON } for the report's files as committed at `ref` (empty outside a git checkout). */
+function loadFromGit(ref, dataDir = DATA_DIR) {
+    const files = {};
+    let names = [];
+    try {
+        names = execFileSync('git', ['ls-tree', '--name-only', `${ref}:${dataDir}`], { encoding: 'utf8' }).split('\n');
+    } catch (err) {
+        return files;
+    }
+    for (const name of names.filter(reportedFile)) {
+        try {
+            files[name] = JSON.parse(execFileSync('git', ['show', `${ref}:${dataDir}/${name}`], {
+                encoding: 'utf8',
+                maxBuffer: 64 * 1024 * 1024
+            }));
+        } catch (err) {
+            console.warn(`Skipping ${name} at ${ref}: ${err.message}`);
+        }
+    }
+    return files;
+}
+
+function loadFromDir(dataDir = DATA_DIR) {
+    const files = {};
+    if (!fs.existsSync(dataDir)) return files;
+    for (const name of fs.readdirSync(dataDir).filter(reportedFile)) {
+        try {
+            files[name] = JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+        } catch (err) {
+            console.warn(`Skipping unreadable ${name}: ${err.message}`);
+        }
+    }
+    return files;
+}
+
+// Where a video sits: which weekend, as what, and for which session (or extra category).
+function videoSlots(data) {
+    const slots = new Map();
+    const place = (video, weekend, kind, session) => {
+        if (video?.videoId && !slots.has(video.videoId)) {
+            slots.set(video.videoId, { videoId: video.videoId, title: video.title || '', weekend, kind, session, video });
+        }
+    };
+    for (const gp of data?.grandPrixWeekends || []) {
+        for (const video of gp?.videos || []) {
+            place(video, gp.name, 'video', getVideoSessionType(video));
+            (video?.alternates || []).forEach((alt) => place(alt, gp.name, 'alternate', getVideoSessionType(alt)));
+        }
+        (gp?.extras || []).forEach((extra) => place(extra, gp.name, 'extra', extra?.category || 'extra'));
+    }
+    return slots;
+}
+
+function slotLabel(slot) {
+    if (slot.kind === 'extra') return `extra: ${slot.session}`;
+    const label = getSessionLabel(slot.session);
+    return slot.kind === 'alternate' ? `${label} (alternate)` : label;
+}
+
+function diffVideos(before, after) {
+    const old = videoSlots(before);
+    const next = videoSlots(after);
+    const added = [];
+    const reclassified = [];
+    const removed = [];
+
+    for (const [videoId, slot] of next) {
+        const previous = old.get(videoId);
+        if (!previous) {
+            added.push({ videoId, title: slot.title, weekend: slot.weekend, session: slotLabel(slot) });
+        } else if (slot.video.unavailable && !previous.video.unavailable) {
+            removed.push({ videoId, title: slot.title, weekend: slot.weekend, session: slotLabel(previous), reason: slot.video.unavailableReason || 'unavailable' });
+        } else if (previous.weekend !== slot.weekend || slotLabel(previous) !== slotLabel(slot)) {
+            reclassified.push({
+                videoId,
+                title: slot.title,
+                from: { weekend: previous.weekend, session: slotLabel(previous) },
+                to: { weekend: slot.weekend, session: slotLabel(slot) }
+            });
+        }
+    }
+    for (const [videoId, slot] of old) {
+        if (!next.has(videoId)) {
+            removed.push({ videoId, title: slot.title, weekend: slot.weekend, session: slotLabel(slot), reason: 'dropped from data' });
+        }
+    }
+    return { added, reclassified, removed };
+}
+
+function diffTable(beforeRows = [], afterRows = [], nameOf) {
+    const old = new Map(beforeRows.map((row) => [nameOf(row), row]));
+    return afterRows
+        .map((row) => {
+            const previous = old.get(nameOf(row));
+            return {
+                name: nameOf(row),
+                from: previous ? previous.position : null,
+                to: row.position,
+                pointsBefore: previous ? previous.points : null,
+                pointsAfter: row.points
+            };
+        })
+        .filter((move) => move.from !== move.to || move.pointsBefore !== move.pointsAfter);
+}
+
+function diffStandings(before, after) {
+    return {
+        roundBefore: before?.round ?? null,
+        roundAfter: after?.round ?? null,
+        drivers: diffTable(before?.drivers, after?.drivers, (row) => row.driverName),
+        constructors: diffTable(before?.constructors, after?.constructors, (row) => row.constructorName)
+    };
+}
+
+function sessionTimes(entry) {
+    const times = new Map();
+    for (const session of entry?.sessions || []) {
+        if (session && typeof session === 'object' && session.title) times.set(session.title, session.publishedAt || null);
+    }
+    return times;
+}
+
+function diffCalendar(before, after) {
+    const old = new Map(readCalendarEntries(before || []).map((entry) => [entry.name, entry]));
+    const changes = [];
+    for (const entry of readCalendarEntries(after || [])) {
+        const previous = old.get(entry.name);
+        old.delete(entry.name);
+        if (!previous) {
+            changes.push({ weekend: entry.name, change: 'added', to: entry.startDate });
+            continue;
+        }
+        const oldTimes = sessionTimes(previous);
+        for (const [title, time] of sessionTimes(entry)) {
+            if (oldTimes.has(title) && oldTimes.get(title) !== time) {
+                changes.push({ weekend: entry.name, session: title, change: 'moved', from: oldTimes.get(title), to: time });
+            } else if (!oldTimes.has(title)) {
+                changes.push({ weekend: entry.name, session: title, change: 'added', to: time });
+            }
+        }
+    }
+    old.forEach((entry) => changes.push({ weekend: entry.name, change: 'removed', from: entry.startDate }));
+    return changes;
+}
+
+const hasChanges = {
+    videos: (diff) => diff.added.length + diff.reclassified.length + diff.removed.length > 0,
+    standings: (diff) => diff.drivers.length + diff.constructors.length > 0 || diff.roundBefore !== diff.roundAfter,
+    calendar: (diff) => diff.length > 0
+};
+
+/**
+ * Compare two sets of data files ({ fileName: data }) and describe what changed:
+ * videos per weekend and session, standings movements and calendar time changes.
+ * Files that did not change are left out.
+ */
+function buildChangeReport(before, after, { generatedAt = new Date().toISOString() } = {}) {
+    const report = { generatedAt, videos: {}, standings: {}, calendar: {} };
+    const names = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    for (const name of names) {
+        const year = name.match(/\d{4}/)[0];
+        const [kind, diff] = name.startsWith('videos-')
+            ? ['videos', diffVideos(before[name], after[name])]
+            : name.startsWith('standings')
+                ? ['standings', diffStandings(before[name], after[name])]
+                : ['calendar', diffCalendar(before[name], after[name])];
+        if (hasChanges[kind](diff)) report[kind][year] = diff;
+    }
+    report.headline = buildHeadline(report);
+    return report;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function buildHeadline(report) {
+    const parts = [];
+    const videoDiffs = Object.values(report.videos);
+    const added = videoDiffs.flatMap((diff) => diff.added);
+    if (added.length) {
+        const weekends = Array.from(new Set(added.map((video) => video.weekend)));
+        parts.push(`${plural(added.length, 'new video')} (${weekends.slice(0, 2).join(', ')}${weekends.length > 2 ? ', ...' : ''})`);
+    }
+    const reclassified = videoDiffs.reduce((sum, diff) => sum + diff.reclassified.length, 0);
+    if (reclassified) parts.push(`${reclassified} reclassified`);
+    const removed = videoDiffs.reduce((sum, diff) => sum + diff.removed.length, 0);
+    if (removed) parts.push(`${removed} removed`);
+    for (const [year, diff] of Object.entries(report.standings)) {
+        parts.push(diff.roundAfter && diff.roundAfter !== diff.roundBefore
+            ? `${year} standings after round ${diff.roundAfter}`
+            : `${year} standings updated`);
+    }
+    const calendarChanges = Object.values(report.calendar).reduce((sum, diff) => sum + diff.length, 0);
+    if (calendarChanges) parts.push(plural(calendarChanges, 'calendar change'));
+    return parts.length ? parts.join(', ') : 'No data changes';
+}
+
+function videoLink(video) {
+    return `[${video.title.replace(/[[\]]/g, '')}](https://www.youtube.com/watch?v=${video.videoId})`;
+}
+
+function formatMove(move) {
+    const position = move.from === null ? `new at P${move.to}` : move.from === move.to ? `P${move.to}` : `P${move.from} → P${move.to}`;
+    const points = move.pointsBefore === null || move.pointsBefore === move.pointsAfter
+        ? `${move.pointsAfter} pts`
+        : `${move.pointsBefore} → ${move.pointsAfter} pts`;
+    return `| ${move.name} | ${position} | ${points} |`;
+}
+
+function renderMarkdown(report) {
+    const lines = ['## Data changes', '', `**${report.headline}**`];
+
+    for (const [year, diff] of Object.entries(report.videos)) {
+        lines.push('', `### Videos ${year}`);
+        const byWeekend = new Map();
+        const entry = (weekend) => {
+            if (!byWeekend.has(weekend)) byWeekend.set(weekend, []);
+            return byWeekend.get(weekend);
+        };
+        diff.added.forEach((video) => entry(video.weekend).push(`- 🆕 ${video.session}: ${videoLink(video)}`));
+        diff.reclassified.forEach((video) => {
+            const from = video.from.weekend === video.to.weekend ? video.from.session : `${video.from.session}, ${video.from.weekend}`;
+            entry(video.to.weekend).push(`- 🔀 ${video.to.session} (was ${from}): ${videoLink(video)}`);
+        });
+        diff.removed.forEach((video) => entry(video.weekend).push(`- ❌ ${video.session}, ${video.reason}: ${videoLink(video)}`));
+        for (const [weekend, items] of byWeekend) {
+            lines.push('', `#### ${weekend}`, ...items);
+        }
+    }
+
+    for (const [year, diff] of Object.entries(report.standings)) {
+        const round = diff.roundAfter !== diff.roundBefore ? ` (round ${diff.roundBefore ?? '-'} → ${diff.roundAfter ?? '-'})` : '';
+        lines.push('', `### Standings ${year}${round}`);
+        for (const [title, moves] of [['Driver', diff.drivers], ['Constructor', diff.constructors]]) {
+            if (!moves.length) continue;
+            lines.push('', `| ${title} | Position | Points |`, '| --- | --- | --- |', ...moves.map(formatMove));
+        }
+    }
+
+    for (const [year, changes] of Object.entries(report.calendar)) {
+        lines.push('', `### Calendar ${year}`);
+        changes.forEach((change) => {
+            const what = change.session ? `${change.weekend} ${change.session}` : change.weekend;
+            if (change.change === 'moved') lines.push(`- 🕒 ${what}: ${change.from} → ${change.to}`);
+            else if (change.change === 'added') lines.push(`- ➕ ${what}${change.to ? `: ${change.to}` : ''}`);
+            else lines.push(`- ➖ ${what}`);
+        });
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function main() {
+    const args = parseArgs();
+    const report = buildChangeReport(loadFromGit(args.base), loadFromDir());
+    if (args.headline) {
+        console.log(report.headline);
+        return report;
+    }
+
+    const basePath = process.env.DATA_CHANGE_REPORT || path.join(process.cwd(), 'reports', 'data-changes');
+    fs.mkdirSync(path.dirname(basePath), { recursive: true });
+    fs.writeFileSync(`${basePath}.json`, JSON.stringify(report, null, 2) + '\n');
+    fs.writeFileSync(`${basePath}.md`, renderMarkdown(report));
+    console.log(`📝 ${report.headline}`);
+    console.log(`Report written to ${basePath}.md and ${basePath}.json`);
+    return report;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    buildChangeReport,
+    diffCalendar,
+    diffStandings,
+    diffVideos,
+    loadFromDir,
+    loadFromGit,
+    renderMarkdown
+};
@@ -0,0 +1,156 @@
+const fs = require('fs').promises;
+const { getVideoSessionType } = require('../public/assets/js/session-classifier');
+const { applyOverrides } = require('./overrides');
+
+// A run may lose up to this share of a file's videos (e.g. a re-upload swap) before it is refused.
+const DEFAULT_MAX_DROP_RATIO = 0.1;
+
+function allowShrinkFromEnv(env = process.env) {
+    return String(env.ALLOW_SHRINK || '').toLowerCase() === 'true';
+}
+
+function maxDropRatioFromEnv(env = process.env) {
+    const ratio = Number(env.SHRINK_THRESHOLD);
+    return Number.isFinite(ratio) && ratio >= 0 && ratio <= 1 ? ratio : DEFAULT_MAX_DROP_RATIO;
+}
+
+function weekendsByName(data) {
+    const byName = new Map();
+    for (const weekend of data?.grandPrixWeekends || []) {
+        if (weekend?.name) byName.set(weekend.name, weekend);
+    }
+    return byName;
+}
+
+function countVideos(weekends) {
+    return weekends.reduce((sum, weekend) => sum + (Array.isArray(weekend?.videos) ? weekend.videos.length : 0), 0);
+}
+
+// Sessions a weekend has a video for; "other" titles are not tied to a session and are left out.
+function sessionTypes(weekend) {
+    const types = new Set();
+    for (const video of weekend?.videos || []) {
+        const type = getVideoSessionType(video);
+        if (type !== 'other') types.add(type);
+    }
+    return types;
+}
+
+/**
+ * Everything `next` would lose compared to the committed `previous` file:
+ * weekends that disappear, a video count drop over `maxDropRatio`, and sessions
+ * that had a video and no longer do. `rolling` is for videos.json, which only
+ * keeps the latest few weekends: older ones may fall off as long as the window
+ * does not shrink, and counts are compared over the weekends both files share.
+ */
+function compareVideoData(previous, next, { rolling = false, maxDropRatio = DEFAULT_MAX_DROP_RATIO } = {}) {
+    const before = weekendsByName(previous);
+    const after = weekendsByName(next);
+    const problems = [];
+
+    const removed = Array.from(before.keys()).filter((name) => !after.has(name));
+    const windowShrank = after.size < before.size;
+    if (!rolling || windowShrank) {
+        removed.forEach((name) => problems.push({ kind: 'weekend-removed', weekend: name }));
+    }
+
+    const shared = Array.from(before.keys()).filter((name) => after.has(name));
+    const beforeCount = rolling
+        ? countVideos(shared.map((name) => before.get(name)))
+        : countVideos(Array.from(before.values()));
+    const afterCount = rolling
+        ? countVideos(shared.map((name) => after.get(name)))
+        : countVideos(Array.from(after.values()));
+    if (beforeCount > 0 && (beforeCount - afterCount) / beforeCount > maxDropRatio) {
+        problems.push({ kind: 'video-count-drop', before: beforeCount, after: afterCount });
+    }
+
+    for (const name of shared) {
+        const kept = sessionTypes(after.get(name));
+        for (const type of sessionTypes(before.get(name))) {
+            if (!kept.has(type)) problems.push({ kind: 'session-lost', weekend: name, session: type });
+        }
+    }
+
+    return problems;
+}
+
+function describeProblem(problem) {
+    if (problem.kind === 'weekend-removed') return `weekend "${problem.weekend}" would be removed`;
+    if (problem.kind === 'video-count-drop') return `video count would drop from ${problem.before} to ${problem.after}`;
+    if (problem.kind === 'session-lost') return `"${problem.weekend}" would lose its ${problem.session} video`;
+    return problem.kind;
+}
+
+async function readExisting(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        // An unreadable committed file has nothing worth protecting.
+        console.warn(`Existing ${filePath} is unreadable (${err.message}); skipping the shrink check.`);
+        return null;
+    }
+}
+
+// The file on disk as the current overrides would leave it, so an exclusion or a
+// retyped session added since the last write is not mistaken for lost data
+function withOverrides(existing, overrides) {
+    if (!overrides) return existing;
+    const { weekends } = applyOverrides(existing.grandPrixWeekends || [], overrides, { resolved: null });
+    return { ...existing, grandPrixWeekends: weekends };
+}
+
+/**
+ * Throw when any of `writes` ({ filePath, data, rolling }) would lose data compared to
+ * what is on disk, unless ALLOW_SHRINK=true. Checks every file before any is written.
+ * With `overrides`, losses the overrides explain are not counted.
+ */
+async function assertNoShrink(writes, {
+    allowShrink = allowShrinkFromEnv(),
+    maxDropRatio = maxDropRatioFromEnv(),
+    overrides = null
+} = {}) {
+    const refused = [];
+    for (const { filePath, data, rolling = false } of writes) {
+        const existing = await readExisting(filePath);
+        if (!existing) continue;
+        const problems = compareVideoData(withOverrides(existing, overrides), data, { rolling, maxDropRatio });
+        if (problems.length) refused.push({ filePath, problems });
+    }
+    if (!refused.length) return [];
+
+    const lines = refused.flatMap(({ filePath, problems }) => problems.map((p) => `${filePath}: ${describeProblem(p)}`));
+    if (allowShrink) {
+        console.warn(`ALLOW_SHRINK=true; writing anyway:\n  ${lines.join('\n  ')}`);
+        return refused;
+    }
+    const err = new Error(`Refusing to overwrite video data (set ALLOW_SHRINK=true to force):\n  ${lines.join('\n  ')}`);
+    err.code = 'DESTRUCTIVE_WRITE';
+    err.refused = refused;
+    throw err;
+}
+
+/**
+ * Write JSON through a temp file and rename, so readers never see half a file.
+ * The file being replaced is kept as `<file>.bak`.
+ */
+async function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    try {
+        await fs.copyFile(filePath, `${filePath}.bak`);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+    allowShrinkFromEnv,
+    assertNoShrink,
+    compareVideoData,
+    DEFAULT_MAX_DROP_RATIO,
+    describeProblem,
+    writeJsonAtomic
+};
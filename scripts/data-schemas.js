@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const schemaDir = path.join(__dirname, '..', 'schemas');
+
+// Written into every artifact as schemaVersion. Bump the minor for additive fields,
+// the major (and SUPPORTED_SCHEMA_MAJOR in calendar-state.js) for anything readers must opt into.
+const SCHEMA_VERSION = '1.2';
+
+const SCHEMA_FILES = {
+    videos: 'videos.schema.json',
+    'videos-archive': 'videos-archive.schema.json',
+    calendar: 'calendar.schema.json',
+    standings: 'standings.schema.json',
+    'grand-prix-aliases': 'grand-prix-aliases.schema.json'
+};
+
+let validators = null;
+
+function loadValidators() {
+    if (validators) return validators;
+    const ajv = new Ajv({ allErrors: true });
+    const schemas = {};
+    for (const [type, file] of Object.entries(SCHEMA_FILES)) {
+        schemas[type] = JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf8'));
+        ajv.addSchema(schemas[type]);
+    }
+    validators = {};
+    for (const [type, schema] of Object.entries(schemas)) {
+        validators[type] = ajv.getSchema(schema.$id);
+    }
+    return validators;
+}
+
+/** Which contract a file in public/data follows, or null for files we do not own (ICS etc). */
+function artifactTypeForFile(fileName) {
+    const name = path.basename(fileName);
+    if (name === 'videos.json') return 'videos';
+    if (/^videos-\d{4}\.json$/.test(name)) return 'videos-archive';
+    if (/^calendar\d{4}\.json$/.test(name)) return 'calendar';
+    if (/^standings\d{4}\.json$/.test(name)) return 'standings';
+    if (name === 'grand-prix-aliases.json') return 'grand-prix-aliases';
+    return null;
+}
+
+function formatError(error) {
+    const where = error.instancePath || '/';
+    const extra = error.params?.additionalProperty || error.params?.missingProperty;
+    return `${where} ${error.message}${extra ? ` (${extra})` : ''}`;
+}
+
+/** Returns { valid, errors } where errors are readable "path message" strings. */
+function validateArtifact(type, data) {
+    const validate = loadValidators()[type];
+    if (!validate) {
+        throw new Error(`Unknown artifact type "${type}"`);
+    }
+    const valid = validate(data);
+    return { valid: Boolean(valid), errors: valid ? [] : (validate.errors || []).map(formatError) };
+}
+
+/** Writers call this right before writing so a bad payload never reaches public/data. */
+function assertValidArtifact(type, data, label = type) {
+    const { valid, errors } = validateArtifact(type, data);
+    if (valid) return;
+    const shown = errors.slice(0, 10);
+    const more = errors.length > shown.length ? `\n  ...and ${errors.length - shown.length} more` : '';
+    const err = new Error(`${label} does not match the ${type} schema:\n  ${shown.join('\n  ')}${more}`);
+    err.code = 'SCHEMA_VALIDATION_FAILED';
+    err.errors = errors;
+    throw err;
+}
+
+module.exports = {
+    artifactTypeForFile,
+    assertValidArtifact,
+    SCHEMA_FILES,
+    SCHEMA_VERSION,
+    validateArtifact
+};
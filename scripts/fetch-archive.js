@@ -1,58 +1,78 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { YouTubeClient } = require('./youtube-client');
+const calendarWindows = require('./calendar-windows');
+const { enrichVideoDetails } = require('./video-details');
+const { summarizeDecisions } = require('./classification-rules');
+const { loadChannels, selectPrimaryVideos } = require('./channels');
+const { applyOverridesWithLookup, loadOverrides } = require('./overrides');
+const { updateQuarantine } = require('./quarantine');
+const { resolveGrandPrixAlias } = require('../public/assets/js/calendar-state');
+const { getSessionType, getVideoSessionType } = require('../public/assets/js/session-classifier');
+const { assertValidArtifact, SCHEMA_VERSION } = require('./data-schemas');
+const { assertNoShrink, writeJsonAtomic } = require('./data-guard');
+
+function parseYearArg(argv = process.argv.slice(2)) {
+    const index = argv.findIndex((arg) => arg === '--year' || arg.startsWith('--year='));
+    if (index === -1) return null;
+    const arg = argv[index];
+    return arg.includes('=') ? arg.split('=')[1] : argv[index + 1] || null;
+}
 
 class F1ArchiveFetcher {
-    constructor() {
+    constructor({ year = parseYearArg() || process.env.TARGET_YEAR || new Date().getUTCFullYear() } = {}) {
+        const parsedYear = parseInt(year, 10);
+        if (!Number.isInteger(parsedYear) || parsedYear < 2000) {
+            throw new Error(`Invalid archive year: ${year}. Pass --year YYYY or set TARGET_YEAR.`);
+        }
+
         this.apiKey = process.env.YOUTUBE_API_KEY;
-        this.channelId = 'UCB_qr75-ydFVKSF9Dmo6izg';
-        this.year = '2025';
-        this.requestDelayMs = parseInt(process.env.YT_REQUEST_DELAY_MS || '0', 10);
+        this.year = String(parsedYear);
+        this.outputFile = `videos-${this.year}.json`;
+        this.clientOptions = YouTubeClient.optionsFromEnv(); // YT_REQUEST_DELAY_MS, YT_CACHE_*, YT_QUOTA_BUDGET
         this.maxPages = parseInt(process.env.YT_MAX_PAGES || process.env.YT_PAGE_CAP || '500', 10);
         this.windowStartDays = parseInt(process.env.YT_WINDOW_START_DAYS || '-1', 10);
         this.windowEndDays = parseInt(process.env.YT_WINDOW_END_DAYS || '3', 10);
         this.missingOnly = process.env.FETCH_MISSING_ONLY === 'true';
         this.dataDir = path.join(process.cwd(), 'public', 'data');
-        
-        this.allowedSessionTypes = [
-            'fp1', 'fp2', 'fp3', 'free practice 1', 'free practice 2', 'free practice 3',
-            'practice 1', 'practice 2', 'practice 3',
-            'qualifying', 'quali', 'sprint', 'race'
-        ];
-        
-        this.includeKeywords = [
-            'highlights', 'recap', 'session',
-            'full race', 'full replay', 'full qualifying', 'extended highlights'
-        ];
-        
-        this.excludeKeywords = [
-            'f2', 'formula 2', 'post-race show', 'post race show',
-            'live:', 'preview', 'analysis', 'interview', 'press conference',
-            'feature race', 'f3', 'formula 3', 'porsche', 'w series',
-            'drivers react', 'driver react', 'react after', 'reaction',
-            'esports', 'indycar', 'nascar', 'wrc', 'dtm', 'motogp',
-            'team radio', 'top 10', 'best moments', 'radio rewinds', 'funniest',
-            'kids', 'challenge', 'hot laps', 'simulator', 'sim', 'gaming'
-        ];
+        this.aliases = {};
+        this.weekendWindows = [];
+        this.unmatchedVideos = [];
+
+        // Channels (config/channels.json) each carry their own include/exclude rules
+        this.channels = loadChannels({ year: parsedYear });
+        this.overrides = loadOverrides({ year: parsedYear });
+        this.channelById = new Map(this.channels.map((channel) => [channel.id, channel]));
+        this.classificationDecisions = new Map();
     }
 
     async fetchArchive() {
-        if (!this.apiKey) {
+        if (!this.apiKey && this.clientOptions.cassette !== 'replay') {
             throw new Error('YouTube API key not found. Please set YOUTUBE_API_KEY environment variable.');
         }
 
+        let yt = null;
         try {
-            console.log(`📦 Fetching ALL 2025 F1 archive videos (uploads playlist scan)...`);
+            console.log(`📦 Fetching ALL ${this.year} F1 archive videos (uploads playlist scan)...`);
+
+            // Fail fast before spending quota on a season we cannot group.
+            const calendar = await this.loadCalendarYear(parseInt(this.year, 10));
+            this.aliases = await calendarWindows.loadSeasonAliases(this.dataDir, parseInt(this.year, 10));
+            this.weekendWindows = this.buildWeekendWindows(calendar, parseInt(this.year, 10));
 
-            const yt = new YouTubeClient({
+            yt = new YouTubeClient({
                 apiKey: this.apiKey,
-                requestDelayMs: this.requestDelayMs
+                ...this.clientOptions
             });
 
-            const allVideos = await this.fetchUploadsForYear(yt, parseInt(this.year, 10));
+            const allVideos = [];
+            for (const channel of this.channels) {
+                console.log(`📺 Scanning ${channel.name} (${channel.id}, priority ${channel.priority})...`);
+                allVideos.push(...await this.fetchUploadsForYear(yt, parseInt(this.year, 10), channel));
+            }
             const preservedGroups = [];
             let existingData = null;
-            const archivePath = path.join(this.dataDir, 'videos-2025.json');
+            const archivePath = path.join(this.dataDir, this.outputFile);
 
             if (this.missingOnly) {
                 try {
@@ -65,7 +85,7 @@ class F1ArchiveFetcher {
                         )
                     );
                 } catch (_) {
-                    console.log('ℹ️  Missing-only mode: no existing public/data/videos-2025.json found, fetching all');
+                    console.log(`ℹ️  Missing-only mode: no existing public/data/${this.outputFile} found, fetching all`);
                 }
             }
 
@@ -83,21 +103,35 @@ class F1ArchiveFetcher {
             const usage = yt.getUsageSummary();
             console.log(`\n📊 Total uploads scanned (year-bounded): ${allVideos.length}`);
             console.log(`🧹 Unique videos after de-dupe: ${uniqueVideos.length}`);
-            console.log(`🔌 YouTube API calls: ${usage.apiCalls}`);
+            console.log(`🔌 YouTube API calls: ${usage.apiCalls}, quota units: ${usage.quotaUnits} (cache hits: ${usage.cacheHits}, not modified: ${usage.notModified})`);
             
             const filteredVideos = this.filterRecapVideos(uniqueVideos);
             console.log(`📋 Filtered to recap videos: ${filteredVideos.length}`);
+            const extraVideos = this.filterExtraVideos(uniqueVideos);
+            console.log(`🎞️  Extras (onboards, team radio, ...): ${extraVideos.length}`);
 
-            const calendar = await this.loadCalendarYear(parseInt(this.year, 10));
             this.maybeDebugWeekend(uniqueVideos, calendar);
-            const groupedVideos = this.groupVideosByCalendarWindow(filteredVideos, calendar);
+            const groupedVideos = this.groupVideosByCalendarWindow([...filteredVideos, ...extraVideos], calendar);
             const rawById = this.buildVideoRecordIndex(uniqueVideos);
             const withManual = await this.mergeManualVideos(groupedVideos, rawById, yt);
-            const mergedGroups = this.mergePreservedGroups(withManual, preservedGroups, {
-                preferPreserved: this.missingOnly
-            });
+            // Editorial overrides go on top of the merge, then the same session from several channels
+            // keeps one primary: the highest-priority channel unless the overrides name one.
+            const { weekends: overridden } = await applyOverridesWithLookup(
+                yt,
+                this.mergePreservedGroups(withManual, preservedGroups, { preferPreserved: this.missingOnly }),
+                this.overrides
+            );
+            // Stamp the keys the site joins on: round, calendarName, weekendStart and session
+            const year = parseInt(this.year, 10);
+            const mergedGroups = calendarWindows.annotateWeekends(overridden.map((gp) => {
+                const videos = selectPrimaryVideos(gp.videos || [], this.channels, { preferred: this.overrides.primary });
+                this.sortVideosInGroup(videos, gp.name);
+                return { ...gp, videos };
+            }), this.weekendWindows, year, this.aliases);
             console.log(`📅 Organized into ${mergedGroups.length} Grand Prix weekends`);
 
+            await this.enrichVideoDetails(yt, mergedGroups);
+
             this.logMissingExpectedSessions(mergedGroups, calendar);
 
             const totalVideos = mergedGroups.reduce(
@@ -106,40 +140,68 @@ class F1ArchiveFetcher {
             );
             
             const videoData = {
+                schemaVersion: SCHEMA_VERSION,
                 lastUpdated: new Date().toISOString(),
                 totalVideos,
                 grandPrixWeekends: mergedGroups,
-                year: '2025'
+                year: this.year
             };
             
-            await this.saveVideoData(videoData, 'videos-2025.json');
-            console.log('\n✅ 2025 archive data saved to public/data/videos-2025.json!');
+            await this.saveVideoData(videoData, this.outputFile);
+            console.log(`\n✅ ${this.year} archive data saved to public/data/${this.outputFile}!`);
+            await updateQuarantine({ year, unmatched: this.unmatchedVideos, weekends: mergedGroups, aliases: this.aliases });
             
             return videoData;
             
         } catch (error) {
             console.error('❌ Error fetching archive:', error.message);
             throw error;
+        } finally {
+            if (yt) {
+                await yt.writeUsageReport({ script: 'fetch-archive', year: Number(this.year) });
+            }
         }
     }
 
-    toSearchLikeVideo({ videoId, title, description, publishedAt, thumbnails }) {
-        return {
-            id: { videoId },
-            snippet: {
-                title: title || '',
-                description: description || '',
-                publishedAt,
-                thumbnails: thumbnails || {}
+    async enrichVideoDetails(yt, groups) {
+        try {
+            const videos = groups.flatMap((gp) => [
+                ...(gp?.videos || []).flatMap((video) => [video, ...(video.alternates || [])]),
+                ...(gp?.extras || [])
+            ]);
+            const { requested, enriched } = await enrichVideoDetails(yt, videos);
+            if (requested > 0) {
+                console.log(`⏱️  Added duration, views, definition and region restrictions to ${enriched}/${requested} video(s)`);
             }
+        } catch (error) {
+            // Details are cosmetic; anything missing is retried on the next run.
+            console.warn(`⚠️  Video details enrichment failed: ${error.message}`);
+        }
+    }
+
+    toSearchLikeVideo({ videoId, title, description, publishedAt, thumbnails, channel = null }) {
+        const snippet = {
+            title: title || '',
+            description: description || '',
+            publishedAt,
+            thumbnails: thumbnails || {}
         };
+        if (channel) {
+            snippet.channelId = channel.id;
+            snippet.channelTitle = channel.name;
+        }
+        return { id: { videoId }, snippet };
+    }
+
+    rulesFor(snippet) {
+        return (this.channelById.get(snippet?.channelId) || this.channels[0]).rules;
     }
 
-    async fetchUploadsForYear(yt, year) {
+    async fetchUploadsForYear(yt, year, channel = this.channels[0]) {
         const start = Date.parse(`${year}-01-01T00:00:00.000Z`);
         const end = Date.parse(`${year + 1}-01-01T00:00:00.000Z`);
 
-        const uploadsPlaylistId = await yt.getUploadsPlaylistId(this.channelId);
+        const uploadsPlaylistId = await yt.getUploadsPlaylistId(channel.id);
         const collected = [];
 
         let pageToken = null;
@@ -175,7 +237,8 @@ class F1ArchiveFetcher {
                         title: item?.snippet?.title,
                         description: item?.snippet?.description,
                         publishedAt: new Date(ts).toISOString(),
-                        thumbnails: item?.snippet?.thumbnails
+                        thumbnails: item?.snippet?.thumbnails,
+                        channel
                     })
                 );
             }
@@ -192,58 +255,30 @@ class F1ArchiveFetcher {
     }
 
     filterRecapVideos(videos) {
-        return videos.filter(video => {
-            const title = video.snippet.title.toLowerCase();
-            const description = video.snippet.description.toLowerCase();
-            const videoType = this.getVideoTypeFromTitle(title);
-            
-            // Avoid false negatives: F1 descriptions sometimes mention other series (F2/F3/etc).
-            // We only apply excludes to the title, which is far more indicative.
-            const shouldExclude = this.excludeKeywords.some(keyword => title.includes(keyword));
-            
-            if (shouldExclude) {
-                return false;
-            }
-            
-            if (videoType === 'other') {
-                return false;
-            }
-            
-            const hasIncludeKeyword = this.includeKeywords.some(keyword =>
-                title.includes(keyword) || description.includes(keyword)
-            );
-            
-            const isF1Context = ['grand prix', 'gp', 'formula 1', 'f1'].some(keyword =>
-                title.includes(keyword) || description.includes(keyword)
-            );
-            
-            return hasIncludeKeyword && isF1Context;
+        const kept = videos.filter(video => {
+            const decision = this.rulesFor(video.snippet).evaluate(video.snippet);
+            this.classificationDecisions.set(video.id.videoId, decision);
+            return decision.included;
         });
-    }
 
-    sortVideosInGroup(videos = []) {
-        const orderMap = {
-            fp1: 10,
-            fp2: 20,
-            fp3: 30,
-            qualifying: 40,
-            'sprint-qualifying': 50,
-            sprint: 60,
-            'race-qualifying': 70,
-            race: 80,
-            other: 99
-        };
+        console.log(`Classification decisions: ${summarizeDecisions(this.classificationDecisions.values()) || 'none'}`);
+        return kept;
+    }
 
-        videos.sort((a, b) => {
-            const aType = this.getVideoTypeFromTitle(a.title);
-            const bType = this.getVideoTypeFromTitle(b.title);
+    // Uses the decisions recorded by filterRecapVideos.
+    filterExtraVideos(videos) {
+        return videos.filter((video) => this.extraCategoryOf(video));
+    }
 
-            const aOrder = orderMap[aType] ?? 99;
-            const bOrder = orderMap[bType] ?? 99;
-            if (aOrder !== bOrder) return aOrder - bOrder;
+    extraCategoryOf(video) {
+        return this.classificationDecisions.get(video?.id?.videoId)?.extra || null;
+    }
 
-            return Date.parse(b.publishedAt) - Date.parse(a.publishedAt);
-        });
+    // Sessions in the order the weekend's calendar entry runs them, newest upload first within one
+    sortVideosInGroup(videos = [], weekendName = null) {
+        const year = parseInt(this.year, 10);
+        const window = calendarWindows.findWindowForWeekend(this.weekendWindows, weekendName, year, this.aliases);
+        videos.sort(calendarWindows.compareBySessionStart(window?.entry));
     }
 
     buildVideoRecordIndex(videos = []) {
@@ -251,13 +286,18 @@ class F1ArchiveFetcher {
         for (const v of videos) {
             const videoId = v?.id?.videoId;
             if (!videoId || map.has(videoId)) continue;
-            map.set(videoId, {
+            const record = {
                 videoId,
                 title: v?.snippet?.title || '',
                 description: v?.snippet?.description || '',
                 publishedAt: v?.snippet?.publishedAt || null,
                 thumbnail: v?.snippet?.thumbnails?.high?.url || v?.snippet?.thumbnails?.default?.url || ''
-            });
+            };
+            if (v?.snippet?.channelId) {
+                record.channelId = v.snippet.channelId;
+                record.channelName = v.snippet.channelTitle || '';
+            }
+            map.set(videoId, record);
         }
         return map;
     }
@@ -376,7 +416,7 @@ class F1ArchiveFetcher {
 
         // Recompute latestDate for any group touched by manual merge.
         for (const g of byName.values()) {
-            this.sortVideosInGroup(g.videos || []);
+            this.sortVideosInGroup(g.videos || [], g.name);
             const latest = (g.videos || [])
                 .map((v) => Date.parse(v.publishedAt))
                 .filter((t) => !Number.isNaN(t))
@@ -388,51 +428,16 @@ class F1ArchiveFetcher {
     }
 
     async loadCalendarYear(year) {
-        const calendarPath = path.join(this.dataDir, `calendar${year}.json`);
-        try {
-            const raw = await fs.readFile(calendarPath, 'utf8');
-            const parsed = JSON.parse(raw);
-            if (!Array.isArray(parsed)) {
-                throw new Error('Calendar JSON is not an array');
-            }
-            return parsed
-                .map((entry) => ({
-                    name: entry?.name,
-                    startDate: entry?.startDate
-                }))
-                .filter((e) => typeof e.name === 'string' && typeof e.startDate === 'string');
-        } catch (err) {
-            throw new Error(`Failed to load calendar for ${year} at ${calendarPath}: ${err.message}`);
-        }
+        return calendarWindows.loadCalendarYear(this.dataDir, year);
     }
 
     buildWeekendWindows(calendarEntries, year) {
-        const oneDayMs = 24 * 60 * 60 * 1000;
-        return calendarEntries.map((entry) => {
-            const start = Date.parse(entry.startDate);
-            const windowStart = start + this.windowStartDays * oneDayMs;
-            const windowEnd = start + this.windowEndDays * oneDayMs;
-            return {
-                name: `${year} ${entry.name}`,
-                start,
-                windowStart,
-                windowEnd
-            };
+        return calendarWindows.buildWeekendWindows(calendarEntries, year, {
+            startDays: this.windowStartDays,
+            endDays: this.windowEndDays
         });
     }
 
-    expectedTypeForSessionName(sessionName) {
-        const t = String(sessionName || '').toLowerCase();
-        if (t === 'fp1') return 'fp1';
-        if (t === 'fp2') return 'fp2';
-        if (t === 'fp3') return 'fp3';
-        if (t === 'sprint qualifying') return 'sprint-qualifying';
-        if (t === 'sprint') return 'sprint';
-        if (t === 'qualifying') return 'qualifying';
-        if (t === 'grand prix') return 'race';
-        return null;
-    }
-
     logMissingExpectedSessions(groups, calendarEntries) {
         const year = parseInt(this.year, 10);
         const byName = new Map((groups || []).map((g) => [g.name, g]));
@@ -444,10 +449,10 @@ class F1ArchiveFetcher {
             if (!group) continue;
 
             const expected = (entry.sessions || [])
-                .map((s) => this.expectedTypeForSessionName(s))
-                .filter(Boolean);
+                .map((s) => getSessionType(typeof s === 'string' ? s : s?.title))
+                .filter((t) => t !== 'other');
 
-            const present = new Set((group.videos || []).map((v) => this.getVideoTypeFromTitle(v.title)));
+            const present = new Set((group.videos || []).map((v) => getVideoSessionType(v)));
 
             const missingTypes = expected.filter((t) => !present.has(t));
             if (missingTypes.length) {
@@ -486,40 +491,31 @@ class F1ArchiveFetcher {
 
         const filteredOut = [];
         const kept = [];
+        const extras = [];
 
         for (const v of inWindow) {
-            const title = String(v?.snippet?.title || '');
-            const titleLower = title.toLowerCase();
-            const descriptionLower = String(v?.snippet?.description || '').toLowerCase();
-            const videoType = this.getVideoTypeFromTitle(titleLower);
-
-            const shouldExclude = this.excludeKeywords.some((k) => titleLower.includes(k));
-            const hasIncludeKeyword = this.includeKeywords.some((k) => titleLower.includes(k) || descriptionLower.includes(k));
-            const isF1Context = ['grand prix', 'gp', 'formula 1', 'f1'].some((k) => titleLower.includes(k) || descriptionLower.includes(k));
-
-            const reasons = [];
-            if (shouldExclude) reasons.push('excludeKeyword(title)');
-            if (videoType === 'other') reasons.push('unknownSessionType');
-            if (!hasIncludeKeyword) reasons.push('noIncludeKeyword');
-            if (!isF1Context) reasons.push('noF1Context');
-
+            const decision = this.rulesFor(v?.snippet).evaluate(v?.snippet);
             const record = {
                 videoId: v?.id?.videoId,
                 publishedAt: v?.snippet?.publishedAt,
-                title
+                title: String(v?.snippet?.title || ''),
+                reasons: [`${decision.ruleId}: ${decision.reason}`]
             };
 
-            if (reasons.length) {
-                filteredOut.push({ ...record, reasons });
-            } else {
+            if (decision.included) {
                 kept.push(record);
+            } else if (decision.extra) {
+                extras.push(record);
+            } else {
+                filteredOut.push(record);
             }
         }
 
-        console.log(`\n🔎 Debug weekend: 2025 ${entry.name}`);
+        console.log(`\n🔎 Debug weekend: ${year} ${entry.name}`);
         console.log(`Window: ${new Date(windowStart).toISOString()} .. ${new Date(windowEnd).toISOString()}`);
         console.log(`Uploads in window: ${inWindow.length}`);
         console.log(`Would keep after filters: ${kept.length}`);
+        console.log(`Extras: ${extras.length}`);
         console.log(`Filtered out: ${filteredOut.length}`);
 
         const show = (arr, label) => {
@@ -532,7 +528,8 @@ class F1ArchiveFetcher {
                 });
         };
 
-        show(kept, 'Kept');
+        show(kept, 'Kept (with deciding rule)');
+        show(extras, 'Extras (with deciding rule)');
         show(filteredOut, 'Filtered out (with reasons)');
         console.log('');
     }
@@ -540,61 +537,33 @@ class F1ArchiveFetcher {
     groupVideosByCalendarWindow(videos, calendarEntries) {
         const year = parseInt(this.year, 10);
         const weekends = this.buildWeekendWindows(calendarEntries, year);
-        const byName = new Map();
-
-        weekends.forEach((w) => {
-            byName.set(w.name, {
-                name: w.name,
-                videos: [],
-                latestDate: null
-            });
+        const { groups, unmatched } = calendarWindows.groupVideosByCalendarWindow(videos, weekends, {
+            year,
+            aliases: this.aliases,
+            titleHint: (title) => this.extractGrandPrixName(title) || '',
+            extraCategory: (video) => this.extraCategoryOf(video)
         });
 
-        const seenByWeekend = new Map(weekends.map((w) => [w.name, new Set()]));
-
-        for (const video of videos) {
-            const publishedAt = video?.snippet?.publishedAt;
-            const ts = Date.parse(publishedAt);
-            if (Number.isNaN(ts)) continue;
-
-            const weekend = weekends.find((w) => ts >= w.windowStart && ts <= w.windowEnd);
-            if (!weekend) continue;
-
-            const group = byName.get(weekend.name);
-            if (!group) continue;
-
-            const videoId = video?.id?.videoId;
-            if (!videoId) continue;
-
-            const seen = seenByWeekend.get(weekend.name);
-            if (seen && seen.has(videoId)) continue;
-            if (seen) seen.add(videoId);
-
-            const record = {
-                videoId,
-                title: video?.snippet?.title || '',
-                description: video?.snippet?.description || '',
-                publishedAt,
-                thumbnail: video?.snippet?.thumbnails?.high?.url || video?.snippet?.thumbnails?.default?.url || ''
-            };
-
-            group.videos.push(record);
-
-            const prev = group.latestDate ? Date.parse(group.latestDate) : null;
-            if (!prev || ts > prev) {
-                group.latestDate = new Date(ts).toISOString();
-            }
+        // Kept for review in state/quarantine-YYYY.json rather than dropped
+        this.unmatchedVideos = unmatched;
+        if (unmatched.length) {
+            console.warn(`⚠️  ${unmatched.length} recap video(s) fell outside every weekend window and were quarantined.`);
         }
 
-        for (const group of byName.values()) {
-            this.sortVideosInGroup(group.videos || []);
+        for (const group of groups) {
+            this.sortVideosInGroup(group.videos || [], group.name);
+            group.extras.sort(calendarWindows.compareExtras);
         }
 
         // Preserve calendar order.
-        return weekends.map((w) => byName.get(w.name));
+        return groups;
     }
 
     extractGrandPrixName(title, canonicalList = []) {
+        // Known variants, sponsor names and hashtags first (public/data/grand-prix-aliases.json)
+        const alias = resolveGrandPrixAlias(title, this.aliases, this.year);
+        if (alias) return `${this.year} ${alias}`;
+
         const patterns = [
             /(\d{4})\s+([A-Za-z\s]+)\s+Grand Prix/i,
             /([A-Za-z\s]+)\s+Grand Prix.*(\d{4})/i,
@@ -614,11 +583,11 @@ class F1ArchiveFetcher {
         
         const locationMatch = title.match(/([A-Za-z\s]+)\s+(Grand Prix|GP)/i);
         if (locationMatch) {
-            const candidate = `2025 ${locationMatch[1].trim()} Grand Prix`;
+            const candidate = `${this.year} ${locationMatch[1].trim()} Grand Prix`;
             return this.resolveCanonical(candidate, canonicalList);
         }
         
-        return 'Unknown Grand Prix';
+        return null;
     }
 
     resolveCanonical(candidate, canonicalList) {
@@ -626,9 +595,10 @@ class F1ArchiveFetcher {
         const direct = canonicalList.find(c => c.toLowerCase() === normalized);
         if (direct) return direct;
 
-        const location = normalized.replace(/^2025\s+/, '').replace(/\s+grand prix$/, '').trim();
+        const yearPrefix = new RegExp(`^${this.year}\\s+`);
+        const location = normalized.replace(yearPrefix, '').replace(/\s+grand prix$/, '').trim();
         const match = canonicalList.find(c => {
-            const loc = c.toLowerCase().replace(/^2025\s+/, '').replace(/\s+grand prix$/, '').trim();
+            const loc = c.toLowerCase().replace(yearPrefix, '').replace(/\s+grand prix$/, '').trim();
             return loc === location || loc.includes(location) || location.includes(loc);
         });
         return match || candidate;
@@ -665,42 +635,12 @@ class F1ArchiveFetcher {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    getVideoTypeFromTitle(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (
-            titleLower.includes('fp1') ||
-            titleLower.includes('practice 1') ||
-            titleLower.includes('free practice 1')
-        ) {
-            return 'fp1';
-        } else if (
-            titleLower.includes('fp2') ||
-            titleLower.includes('practice 2') ||
-            titleLower.includes('free practice 2')
-        ) {
-            return 'fp2';
-        } else if (titleLower.includes('fp3') || titleLower.includes('practice 3') || titleLower.includes('free practice 3')) {
-            return 'fp3';
-        } else if (titleLower.includes('sprint') && (titleLower.includes('qualifying') || titleLower.includes('quali'))) {
-            return 'sprint-qualifying';
-        } else if (titleLower.includes('sprint')) {
-            return 'sprint';
-        } else if (titleLower.includes('race') && (titleLower.includes('qualifying') || titleLower.includes('quali'))) {
-            return 'race-qualifying';
-        } else if (titleLower.includes('qualifying') || titleLower.includes('quali')) {
-            return 'qualifying';
-        } else if (titleLower.includes('race') && !titleLower.includes('practice')) {
-            return 'race';
-        }
-        
-        return 'other';
-    }
-
     async saveVideoData(data, filename) {
+        assertValidArtifact('videos-archive', data, filename);
         await fs.mkdir(this.dataDir, { recursive: true });
         const outputPath = path.join(this.dataDir, filename);
-        await fs.writeFile(outputPath, JSON.stringify(data, null, 2));
+        await assertNoShrink([{ filePath: outputPath, data }], { overrides: this.overrides });
+        await writeJsonAtomic(outputPath, data);
     }
 }
 
@@ -708,7 +648,7 @@ async function main() {
     try {
         const fetcher = new F1ArchiveFetcher();
         await fetcher.fetchArchive();
-        console.log('\n✅ Successfully created 2025 F1 archive!');
+        console.log(`\n✅ Successfully created ${fetcher.year} F1 archive!`);
     } catch (error) {
         console.error('\n❌ Failed to fetch archive:', error.message);
         process.exit(1);
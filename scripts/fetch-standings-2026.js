@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
+const { assertValidArtifact, SCHEMA_VERSION } = require('./data-schemas');
 
 const TARGET_YEAR = String(parseInt(process.env.TARGET_YEAR || '2026', 10));
 const BASE_URL = process.env.STANDINGS_API_BASE || 'https://api.jolpi.ca/ergast/f1';
@@ -42,19 +43,12 @@ function normalizeConstructorStandings(list = []) {
 }
 
 function validateOutputShape(payload) {
-    const requiredKeys = ['season', 'round', 'updatedAt', 'seasonStarted', 'source', 'drivers', 'constructors'];
-    for (const key of requiredKeys) {
-        if (!(key in payload)) {
-            throw new Error(`Invalid standings payload: missing key \"${key}\"`);
-        }
-    }
-    if (!Array.isArray(payload.drivers) || !Array.isArray(payload.constructors)) {
-        throw new Error('Invalid standings payload: drivers/constructors must be arrays');
-    }
+    assertValidArtifact('standings', payload, `standings${TARGET_YEAR}.json`);
 }
 
 function makeDefaultPayload() {
     return {
+        schemaVersion: SCHEMA_VERSION,
         season: TARGET_YEAR,
         round: null,
         updatedAt: new Date().toISOString(),
@@ -110,6 +104,7 @@ function extractStandingsList(payload, key) {
 }
 
 async function writePayload(payload) {
+    validateOutputShape(payload);
     const tempFile = `${OUTPUT_FILE}.tmp`;
     const json = `${JSON.stringify(payload, null, 2)}\n`;
     await fs.writeFile(tempFile, json, 'utf8');
@@ -136,6 +131,7 @@ async function main() {
         const constructors = normalizeConstructorStandings(constructorsRaw.rows);
 
         const payload = {
+            schemaVersion: SCHEMA_VERSION,
             season: driversRaw.season || constructorsRaw.season || TARGET_YEAR,
             round: driversRaw.round || constructorsRaw.round || null,
             updatedAt: new Date().toISOString(),
@@ -145,7 +141,6 @@ async function main() {
             constructors
         };
 
-        validateOutputShape(payload);
         await writePayload(payload);
 
         console.log(`Saved standings to ${OUTPUT_FILE}`);
@@ -1,120 +1,249 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { YouTubeClient } = require('./youtube-client');
+const calendarWindows = require('./calendar-windows');
+const { enrichVideoDetails } = require('./video-details');
+const { resolveGrandPrixAlias } = require('../public/assets/js/calendar-state');
+const { summarizeDecisions } = require('./classification-rules');
+const { loadChannels, selectPrimaryVideos } = require('./channels');
+const { applyOverridesWithLookup, loadOverrides } = require('./overrides');
+const { updateQuarantine } = require('./quarantine');
+const { assertValidArtifact, SCHEMA_VERSION } = require('./data-schemas');
+const { assertNoShrink, writeJsonAtomic } = require('./data-guard');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
 class F1VideoFetcher {
     constructor() {
         this.apiKey = process.env.YOUTUBE_API_KEY;
-        this.channelId = 'UCB_qr75-ydFVKSF9Dmo6izg'; // Formula 1 official channel
         this.targetYear = parseInt(process.env.TARGET_YEAR || new Date().getUTCFullYear(), 10);
         this.latestWindow = parseInt(process.env.LATEST_WINDOW || '3', 10); // homepage recency window
         this.maxResults = parseInt(process.env.MAX_RESULTS || '150', 10);   // total videos to pull from search
         this.pageCap = Math.max(1, Math.ceil(this.maxResults / 50));        // 50 per page; cap via maxResults
-        this.requestDelayMs = parseInt(process.env.YT_REQUEST_DELAY_MS || '0', 10);
-        
-        // Specific F1 session types we want to include (with variations)
-        this.allowedSessionTypes = [
-            'fp1', 'fp2', 'fp3', 'free practice 1', 'free practice 2', 'free practice 3',
-            'practice 1', 'practice 2', 'practice 3',
-            'qualifying', 'quali', 'sprint', 'race'
-        ];
-        
-        // Keywords that indicate the content we want
-        this.includeKeywords = [
-            'highlights', 'recap', 'session',
-            'full race', 'full replay', 'full qualifying', 'extended highlights'
-        ];
-        
-        // Content to exclude
-        this.excludeKeywords = [
-            'f2', 'formula 2', 'post-race show', 'post race show', 
-            'live:', 'preview', 'analysis', 'interview', 'press conference',
-            'feature race', 'f3', 'formula 3', 'porsche', 'w series',
-            'drivers react', 'driver react', 'react after', 'reaction',
-            'esports', 'indycar', 'nascar', 'wrc', 'dtm', 'motogp',
-            'team radio', 'top 10', 'best moments', 'radio rewinds', 'funniest',
-            'kids', 'challenge', 'hot laps', 'simulator', 'sim', 'gaming'
-        ];
+        this.clientOptions = YouTubeClient.optionsFromEnv(); // YT_REQUEST_DELAY_MS, YT_CACHE_*, YT_QUOTA_BUDGET
+        this.windowStartDays = parseInt(process.env.YT_WINDOW_START_DAYS || '-1', 10);
+        this.windowEndDays = parseInt(process.env.YT_WINDOW_END_DAYS || '3', 10);
+        this.dataDir = path.join(process.cwd(), 'public', 'data');
+        this.weekendWindows = [];
+        this.aliases = {};
+        this.unmatchedVideos = [];
+
+        // Incremental scans stop at the newest upload seen by the previous run
+        this.statePath = process.env.FETCH_STATE_PATH || path.join(process.cwd(), 'state', 'fetch-state.json');
+        this.catchupMaxPages = parseInt(process.env.CATCHUP_MAX_PAGES || '20', 10);
+        this.fullScan = process.env.FULL_SCAN === 'true';
+
+        // Channels (config/channels.json) each carry their own include/exclude rules
+        this.channels = loadChannels({ year: this.targetYear });
+        this.overrides = loadOverrides({ year: this.targetYear });
+        this.channelById = new Map(this.channels.map(channel => [channel.id, channel]));
+        this.classificationDecisions = new Map();
     }
 
-    async fetchRecentVideos() {
+    /**
+     * Page the uploads playlist newest-first. With a watermark, read on past it for the
+     * weekend window's lead (YT_WINDOW_START_DAYS) so premieres and scheduled uploads
+     * dated before it are not missed; `knownIds` in that overlap are skipped. If the
+     * normal page cap runs out first, keep going in catch-up mode for up to
+     * CATCHUP_MAX_PAGES. Without a watermark, fall back to the MAX_RESULTS bootstrap scan.
+     */
+    async fetchRecentVideos(yt, channel, watermark = null, knownIds = new Set()) {
         const perPage = 50;
-        const maxPages = this.pageCap;
+        const maxPages = watermark ? Math.max(this.pageCap, this.catchupMaxPages) : this.pageCap;
+        const watermarkTs = watermark ? Date.parse(watermark.publishedAt) : NaN;
+        const overlapStartTs = watermarkTs - Math.abs(this.windowStartDays) * ONE_DAY_MS;
         let pageToken = null;
         let page = 1;
+        let reachedWatermark = false;
+        let pastOverlap = false;
         const items = [];
 
-        const yt = new YouTubeClient({
-            apiKey: this.apiKey,
-            requestDelayMs: this.requestDelayMs
-        });
-
-        const uploadsPlaylistId = await yt.getUploadsPlaylistId(this.channelId);
+        const uploadsPlaylistId = await yt.getUploadsPlaylistId(channel.id);
 
         do {
+            if (watermark && !reachedWatermark && page === this.pageCap + 1) {
+                console.warn(`Watermark not reached after ${this.pageCap} page(s); catching up (max ${maxPages} pages)`);
+            }
+
             const resp = await yt.listPlaylistItems({
                 playlistId: uploadsPlaylistId,
                 pageToken,
                 maxResults: perPage
             });
 
-            const fetched = (resp.items || [])
-                .map((item) => {
-                    const videoId = item?.contentDetails?.videoId || item?.snippet?.resourceId?.videoId;
-                    const publishedAt = item?.contentDetails?.videoPublishedAt || item?.snippet?.publishedAt;
-                    if (!videoId || !publishedAt) return null;
-                    const ts = Date.parse(publishedAt);
-                    if (Number.isNaN(ts)) return null;
-                    return {
-                        id: { videoId },
-                        snippet: {
-                            title: item?.snippet?.title || '',
-                            description: item?.snippet?.description || '',
-                            publishedAt: new Date(ts).toISOString(),
-                            thumbnails: item?.snippet?.thumbnails || {}
-                        }
-                    };
-                })
-                .filter(Boolean);
-
-            items.push(...fetched);
+            for (const item of resp.items || []) {
+                const videoId = item?.contentDetails?.videoId || item?.snippet?.resourceId?.videoId;
+                const publishedAt = item?.contentDetails?.videoPublishedAt || item?.snippet?.publishedAt;
+                if (!videoId || !publishedAt) continue;
+                const ts = Date.parse(publishedAt);
+                if (Number.isNaN(ts)) continue;
+
+                if (watermark && ts < overlapStartTs) {
+                    reachedWatermark = true;
+                    pastOverlap = true;
+                    break;
+                }
+                if (watermark && (videoId === watermark.videoId || ts <= watermarkTs)) {
+                    reachedWatermark = true;
+                    if (videoId === watermark.videoId || knownIds.has(videoId)) continue;
+                }
+
+                items.push({
+                    id: { videoId },
+                    snippet: {
+                        title: item?.snippet?.title || '',
+                        description: item?.snippet?.description || '',
+                        publishedAt: new Date(ts).toISOString(),
+                        thumbnails: item?.snippet?.thumbnails || {},
+                        channelId: channel.id,
+                        channelTitle: channel.name
+                    }
+                });
+            }
 
             pageToken = resp.nextPageToken || null;
             page += 1;
-        } while (pageToken && page <= maxPages && items.length < this.maxResults);
+        } while (
+            pageToken &&
+            !pastOverlap &&
+            page <= maxPages &&
+            (watermark || items.length < this.maxResults)
+        );
+
+        if (!pageToken) {
+            // End of the playlist: nothing older can be missing
+            reachedWatermark = true;
+        }
+
+        return {
+            items: watermark ? items : items.slice(0, this.maxResults),
+            pages: page - 1,
+            reachedWatermark
+        };
+    }
 
-        return items.slice(0, this.maxResults);
+    // Every id already in the season archive: session videos, their alternates and extras
+    async loadArchivedIds() {
+        const publicArchive = path.join(this.dataDir, `videos-${this.targetYear}.json`);
+        if (!(await this.fileExists(publicArchive))) return new Set();
+        try {
+            const archive = JSON.parse(await fs.readFile(publicArchive, 'utf8'));
+            return new Set((archive.grandPrixWeekends || []).flatMap(gp => [
+                ...(gp.videos || []).flatMap(video => [video, ...(video.alternates || [])]),
+                ...(gp.extras || [])
+            ]).map(video => video?.videoId).filter(Boolean));
+        } catch (e) {
+            return new Set();
+        }
+    }
+
+    async loadWatermark(channelId) {
+        if (this.fullScan) {
+            console.log('FULL_SCAN=true; ignoring stored watermark');
+            return null;
+        }
+        if (!(await this.fileExists(this.statePath))) return null;
+
+        try {
+            const state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            const watermark = state?.uploads?.[channelId];
+            if (watermark?.videoId && !Number.isNaN(Date.parse(watermark.publishedAt))) {
+                return watermark;
+            }
+        } catch (e) {
+            console.warn(`Fetch state at ${this.statePath} unreadable; running a full scan`);
+        }
+        return null;
+    }
+
+    async saveWatermark(channelId, items, previous) {
+        const newest = items.reduce((best, item) => (
+            !best || Date.parse(item.snippet.publishedAt) > Date.parse(best.snippet.publishedAt) ? item : best
+        ), null);
+        // Uploads found in the overlap are older than the watermark and must not pull it back
+        if (!newest || (previous && Date.parse(newest.snippet.publishedAt) <= Date.parse(previous.publishedAt))) {
+            return previous;
+        }
+
+        let state = {};
+        if (await this.fileExists(this.statePath)) {
+            try {
+                state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            } catch (e) {
+                state = {};
+            }
+        }
+
+        const watermark = {
+            videoId: newest.id.videoId,
+            publishedAt: newest.snippet.publishedAt,
+            updatedAt: new Date().toISOString()
+        };
+        state.uploads = Object.assign({}, state.uploads, { [channelId]: watermark });
+
+        await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+        await fs.writeFile(this.statePath, JSON.stringify(state, null, 2) + '\n');
+        return watermark;
     }
 
     async fetchVideos() {
-        if (!this.apiKey) {
+        if (!this.apiKey && this.clientOptions.cassette !== 'replay') {
             throw new Error('YouTube API key not found. Please set YOUTUBE_API_KEY environment variable.');
         }
 
+        let yt = null;
         try {
-            console.log('Fetching latest videos from Formula 1 channel...');
-            
-            const allVideos = await this.fetchRecentVideos();
-            console.log(`Found ${allVideos.length} total videos from recent feed`);
+            // Weekends come from the season calendar; titles only break ties between windows.
+            const calendar = await calendarWindows.loadCalendarYear(this.dataDir, this.targetYear);
+            this.weekendWindows = calendarWindows.buildWeekendWindows(calendar, this.targetYear, {
+                startDays: this.windowStartDays,
+                endDays: this.windowEndDays
+            });
+            this.aliases = await calendarWindows.loadSeasonAliases(this.dataDir, this.targetYear);
+
+            yt = new YouTubeClient({
+                apiKey: this.apiKey,
+                ...this.clientOptions
+            });
+
+            // Each channel is scanned down to its own watermark
+            const knownIds = await this.loadArchivedIds();
+            const scans = [];
+            for (const channel of this.channels) {
+                scans.push(await this.scanChannel(yt, channel, knownIds));
+            }
+            const allVideos = scans.flatMap(scan => scan.items);
+            const incremental = scans.every(scan => scan.watermark);
+
+            if (incremental && allVideos.length === 0) {
+                console.log('No new uploads since the watermark; leaving data unchanged.');
+                return null;
+            }
 
             // Filter for recap videos
             const filteredVideos = this.filterRecapVideos(allVideos);
             console.log(`Filtered to ${filteredVideos.length} recap videos`);
+            const extraVideos = this.filterExtraVideos(allVideos);
+            console.log(`Found ${extraVideos.length} extra videos (onboards, team radio, ...)`);
+
+            // Group new videos by Grand Prix weekend and fold them into the season archive
+            const newGrouped = this.groupVideosByGrandPrix([...filteredVideos, ...extraVideos]);
+            console.log(`Organized into ${newGrouped.length} Grand Prix weekends`);
+
+            if (incremental && newGrouped.length === 0) {
+                console.log('No new recap videos; leaving data unchanged.');
+                await updateQuarantine({ year: this.targetYear, unmatched: this.unmatchedVideos, aliases: this.aliases });
+                await this.saveWatermarks(scans);
+                return null;
+            }
 
-            // Keep only the most recent N filtered videos based on configured maxResults
-            const boundedVideos = filteredVideos.slice(0, this.maxResults);
-            console.log(`Considering ${boundedVideos.length} newest filtered videos (max ${this.maxResults})`);
-
-            // Group videos by Grand Prix weekends (full set from the bounded list)
-            const fullGrouped = this.groupVideosByGrandPrix(boundedVideos);
-            console.log(`Organized into ${fullGrouped.length} Grand Prix weekends (full grouped set)`);
+            const archiveData = await this.buildArchive(newGrouped, yt);
+            await this.enrichVideoDetails(yt, archiveData.grandPrixWeekends);
 
-            // Current feed: limit to latest N weekends for the homepage
-            const groupedVideos = fullGrouped.slice(0, this.latestWindow);
+            // Current feed: latest N weekends of the merged archive for the homepage
+            const groupedVideos = archiveData.grandPrixWeekends.slice(0, this.latestWindow);
             console.log(`Trimmed to ${groupedVideos.length} weekends for current feed (latest ${this.latestWindow})`);
 
-            const visibleVideos = groupedVideos.reduce((total, gp) => total + gp.videos.length, 0);
-
             if (groupedVideos.length === 0) {
                 console.warn('No race weekends detected from API response. Preserving existing videos.json to avoid wiping the site.');
                 await this.preserveExistingData();
@@ -122,57 +251,107 @@ class F1VideoFetcher {
             }
 
             const videoData = {
+                schemaVersion: SCHEMA_VERSION,
                 lastUpdated: new Date().toISOString(),
-                totalVideos: visibleVideos,
+                totalVideos: groupedVideos.reduce((total, gp) => total + gp.videos.length, 0),
                 grandPrixWeekends: groupedVideos
             };
 
-            // Build/merge full-season archive for target year
-            const archiveData = await this.buildArchive(fullGrouped);
-
-            // Save both current and archive outputs
+            // Save both current and archive outputs, then advance the watermark
             await this.saveVideoData(videoData, archiveData);
             console.log('Video data saved successfully!');
+            await updateQuarantine({
+                year: this.targetYear,
+                unmatched: this.unmatchedVideos,
+                weekends: archiveData.grandPrixWeekends,
+                aliases: this.aliases
+            });
+            await this.saveWatermarks(scans);
             
             return videoData;
 
         } catch (error) {
             console.error('Error fetching videos:', error.message);
             throw error;
+        } finally {
+            if (yt) {
+                const usage = yt.getUsageSummary();
+                console.log(`YouTube API calls: ${usage.apiCalls}, quota units: ${usage.quotaUnits}` +
+                    ` (cache hits: ${usage.cacheHits}, not modified: ${usage.notModified})`);
+                await yt.writeUsageReport({ script: 'fetch-videos', year: this.targetYear });
+            }
         }
     }
 
-    filterRecapVideos(videos) {
-        return videos.filter(video => {
-            const title = video.snippet.title.toLowerCase();
-            const description = video.snippet.description.toLowerCase();
-            const videoType = this.getVideoTypeFromTitle(title);
-            
-            // First, exclude unwanted content
-            // Avoid false negatives: descriptions can mention other series (F2/F3/etc).
-            // Title-based exclusion is much safer here.
-            const shouldExclude = this.excludeKeywords.some(keyword => title.includes(keyword));
-            
-            if (shouldExclude) {
-                return false;
-            }
-            
-            // Only keep known F1 session types
-            if (videoType === 'other') {
-                return false;
+    async scanChannel(yt, channel, knownIds = new Set()) {
+        const watermark = await this.loadWatermark(channel.id);
+        if (watermark) {
+            console.log(`Fetching ${channel.name} uploads newer than ${watermark.videoId} (${watermark.publishedAt})...`);
+        } else {
+            console.log(`No watermark stored; fetching latest videos from ${channel.name}...`);
+        }
+
+        const { items, pages, reachedWatermark } = await this.fetchRecentVideos(yt, channel, watermark, knownIds);
+        console.log(`Found ${items.length} new upload(s) across ${pages} page(s) on ${channel.name}`);
+
+        if (watermark && !reachedWatermark) {
+            // Loud on purpose: anything between the last page read and the watermark was never seen.
+            const message = `Catch-up stopped after ${pages} page(s) on ${channel.name} without reaching watermark ` +
+                `${watermark.videoId} (${watermark.publishedAt}); older uploads may be missing. ` +
+                'Re-run with FULL_SCAN=true or a higher CATCHUP_MAX_PAGES.';
+            console.warn(process.env.GITHUB_ACTIONS ? `::warning::${message}` : message);
+        }
+
+        return { channel, watermark, items };
+    }
+
+    async saveWatermarks(scans) {
+        for (const { channel, watermark, items } of scans) {
+            const saved = await this.saveWatermark(channel.id, items, watermark);
+            if (saved && saved !== watermark) {
+                console.log(`Watermark for ${channel.name} advanced to ${saved.videoId} (${saved.publishedAt})`);
             }
-            
-            // More flexible keyword matching - include if it has session type OR include keywords
-            const hasIncludeKeyword = this.includeKeywords.some(keyword => 
-                title.includes(keyword) || description.includes(keyword)
-            );
+        }
+    }
 
-            const isF1Context = ['grand prix', 'gp', 'formula 1', 'f1'].some(keyword =>
-                title.includes(keyword) || description.includes(keyword)
-            );
+    async enrichVideoDetails(yt, weekends) {
+        try {
+            const videos = weekends.flatMap(gp => [
+                ...(gp.videos || []).flatMap(video => [video, ...(video.alternates || [])]),
+                ...(gp.extras || [])
+            ]);
+            const { requested, enriched } = await enrichVideoDetails(yt, videos);
+            if (requested > 0) {
+                console.log(`Added duration, views, definition and region restrictions to ${enriched}/${requested} video(s)`);
+            }
+        } catch (error) {
+            // Details are cosmetic; anything missing is retried on the next run.
+            console.warn(`Video details enrichment failed: ${error.message}`);
+        }
+    }
 
-            return hasIncludeKeyword && isF1Context;
+    filterRecapVideos(videos) {
+        const kept = videos.filter(video => {
+            const decision = this.rulesFor(video.snippet).evaluate(video.snippet);
+            this.classificationDecisions.set(video.id.videoId, decision);
+            return decision.included;
         });
+
+        console.log(`Classification decisions: ${summarizeDecisions(this.classificationDecisions.values()) || 'none'}`);
+        return kept;
+    }
+
+    // Uses the decisions recorded by filterRecapVideos
+    filterExtraVideos(videos) {
+        return videos.filter(video => this.extraCategoryOf(video));
+    }
+
+    extraCategoryOf(video) {
+        return this.classificationDecisions.get(video?.id?.videoId)?.extra || null;
+    }
+
+    rulesFor(snippet) {
+        return (this.channelById.get(snippet?.channelId) || this.channels[0]).rules;
     }
 
     filterRecentVideos(videos, daysBack) {
@@ -186,94 +365,46 @@ class F1VideoFetcher {
     }
 
     groupVideosByGrandPrix(videos) {
-        // Extract Grand Prix name from video titles
-        const grandPrixGroups = new Map();
-        
-        videos.forEach(video => {
-            const grandPrixName = this.extractGrandPrixName(video.snippet.title);
-            const publishDate = new Date(video.snippet.publishedAt);
-            
-            if (!grandPrixGroups.has(grandPrixName)) {
-                grandPrixGroups.set(grandPrixName, {
-                    name: grandPrixName,
-                    videos: [],
-                    latestDate: publishDate
-                });
-            }
-            
-            const group = grandPrixGroups.get(grandPrixName);
-            group.videos.push({
-                videoId: video.id.videoId,
-                title: video.snippet.title,
-                description: video.snippet.description,
-                publishedAt: video.snippet.publishedAt,
-                thumbnail: video.snippet.thumbnails?.high?.url || video.snippet.thumbnails?.default?.url || ''
-            });
-            
-            // Update latest date if this video is newer
-            if (publishDate > group.latestDate) {
-                group.latestDate = publishDate;
-            }
+        const { groups, unmatched } = calendarWindows.groupVideosByCalendarWindow(videos, this.weekendWindows, {
+            year: this.targetYear,
+            aliases: this.aliases,
+            titleHint: (title) => this.extractGrandPrixName(title) || '',
+            extraCategory: (video) => this.extraCategoryOf(video)
         });
+
+        // Kept for review in state/quarantine-YYYY.json rather than dropped
+        this.unmatchedVideos = unmatched;
+        if (unmatched.length) {
+            console.warn(`${unmatched.length} recap video(s) fell outside every ${this.targetYear} weekend window and were quarantined`);
+        }
+
+        // Only weekends with videos or extras, most recent first
+        const withVideos = groups
+            .filter(group => group.videos.length > 0 || group.extras.length > 0)
+            .sort((a, b) => Date.parse(b.latestDate || 0) - Date.parse(a.latestDate || 0));
         
-        // Convert to array and sort by latest date (most recent first)
-        const sortedGroups = Array.from(grandPrixGroups.values())
-            .sort((a, b) => b.latestDate - a.latestDate);
-        
-        // Filter to the target year only
-        const yearStr = String(this.targetYear);
-        const filteredByYear = sortedGroups.filter(gp => gp.name.includes(yearStr));
-        
-        // Sort videos within each group by session order
-        filteredByYear.forEach(group => {
-            // Check if this weekend has sprint
-            const hasSprint = group.videos.some(video => 
-                this.getVideoTypeFromTitle(video.title) === 'sprint'
-            );
-            
-            group.videos.sort((a, b) => {
-                const aType = this.getVideoTypeFromTitle(a.title);
-                const bType = this.getVideoTypeFromTitle(b.title);
-                
-                // Define session order based on whether sprint weekend or not
-                let sessionOrder;
-                if (hasSprint) {
-                    // Sprint weekend: FP1 -> Sprint -> Sprint Quali -> Race -> Race Quali
-                    sessionOrder = { 
-                        'fp1': 0, 
-                        'sprint': 1, 
-                        'sprint-qualifying': 2, 
-                        'race': 3, 
-                        'race-qualifying': 4,
-                        'fp2': 5,
-                        'qualifying': 6
-                    };
-                } else {
-                    // Regular weekend: FP1 -> FP2 -> Qualifying -> Race
-                    sessionOrder = { 
-                        'fp1': 0, 
-                        'fp2': 1, 
-                        'qualifying': 2, 
-                        'race': 3 
-                    };
-                }
-                
-                const aOrder = sessionOrder[aType] !== undefined ? sessionOrder[aType] : 999;
-                const bOrder = sessionOrder[bType] !== undefined ? sessionOrder[bType] : 999;
-                
-                if (aOrder !== bOrder) {
-                    return aOrder - bOrder;
-                }
-                
-                // If same type, sort by date (newer first)
-                return new Date(b.publishedAt) - new Date(a.publishedAt);
-            });
+        // Sort videos within each group by session start
+        withVideos.forEach(group => {
+            group.videos.sort(this.videoComparator(group.name));
+            group.extras.sort(calendarWindows.compareExtras);
         });
         
-        return filteredByYear;
+        return withVideos;
+    }
+
+    // Sessions in the order the weekend's calendar entry runs them
+    videoComparator(weekendName) {
+        const window = calendarWindows.findWindowForWeekend(this.weekendWindows, weekendName, this.targetYear, this.aliases);
+        return calendarWindows.compareBySessionStart(window?.entry);
     }
     
     extractGrandPrixName(title) {
+        // Known variants, sponsor names and hashtags first (public/data/grand-prix-aliases.json)
+        const alias = resolveGrandPrixAlias(title, this.aliases, this.targetYear);
+        if (alias) {
+            return `${this.targetYear} ${alias}`;
+        }
+
         // Common Grand Prix name patterns
         const patterns = [
             /(\d{4})\s+([A-Za-z\s]+)\s+Grand Prix/i,
@@ -298,52 +429,29 @@ class F1VideoFetcher {
             return `${this.targetYear} ${locationMatch[1].trim()} Grand Prix`;
         }
         
-        // Ultimate fallback
-        return 'Unknown Grand Prix';
+        // No usable name; the publish window decides on its own
+        return null;
     }
     
-    getVideoTypeFromTitle(title) {
-        const titleLower = title.toLowerCase();
-        
-        // Check for specific session types
-        if (
-            titleLower.includes('fp1') ||
-            titleLower.includes('practice 1') ||
-            titleLower.includes('free practice 1')
-        ) {
-            return 'fp1';
-        } else if (
-            titleLower.includes('fp2') ||
-            titleLower.includes('practice 2') ||
-            titleLower.includes('free practice 2')
-        ) {
-            return 'fp2';
-        } else if (titleLower.includes('fp3') || titleLower.includes('practice 3') || titleLower.includes('free practice 3')) {
-            return 'fp3';
-        } else if (titleLower.includes('sprint') && (titleLower.includes('qualifying') || titleLower.includes('quali'))) {
-            return 'sprint-qualifying';
-        } else if (titleLower.includes('sprint')) {
-            return 'sprint';
-        } else if (titleLower.includes('race') && (titleLower.includes('qualifying') || titleLower.includes('quali'))) {
-            return 'race-qualifying';
-        } else if (titleLower.includes('qualifying') || titleLower.includes('quali')) {
-            return 'qualifying';
-        } else if (titleLower.includes('race') && !titleLower.includes('practice')) {
-            return 'race';
-        }
-        
-        return 'other';
-    }
-
     async saveVideoData(currentData, archiveData) {
         const publicDataDir = path.join(process.cwd(), 'public', 'data');
         const publicCurrent = path.join(publicDataDir, 'videos.json');
         const publicArchive = path.join(publicDataDir, `videos-${this.targetYear}.json`);
 
+        // Check both before touching either, so a bad run never leaves them out of step
+        assertValidArtifact('videos', currentData, 'videos.json');
+        assertValidArtifact('videos-archive', archiveData, `videos-${this.targetYear}.json`);
+
+        // videos.json only keeps the latest weekends, so older ones rolling off is expected
+        await assertNoShrink([
+            { filePath: publicCurrent, data: currentData, rolling: true },
+            { filePath: publicArchive, data: archiveData }
+        ], { overrides: this.overrides });
+
         // Persist to served locations for the site
         await fs.mkdir(publicDataDir, { recursive: true });
-        await fs.writeFile(publicCurrent, JSON.stringify(currentData, null, 2));
-        await fs.writeFile(publicArchive, JSON.stringify(archiveData, null, 2));
+        await writeJsonAtomic(publicCurrent, currentData);
+        await writeJsonAtomic(publicArchive, archiveData);
     }
 
     async preserveExistingData() {
@@ -369,7 +477,7 @@ class F1VideoFetcher {
         }
     }
 
-    async buildArchive(fullGrouped) {
+    async buildArchive(fullGrouped, yt) {
         const publicDataDir = path.join(process.cwd(), 'public', 'data');
         const publicArchive = path.join(publicDataDir, `videos-${this.targetYear}.json`);
         let existing = { lastUpdated: null, totalVideos: 0, grandPrixWeekends: [] };
@@ -382,23 +490,44 @@ class F1VideoFetcher {
             }
         }
 
-        const merged = this.mergeArchives(existing.grandPrixWeekends || [], fullGrouped || []);
+        // Older runs named weekends from titles; fold them into the calendar names.
+        const existingWeekends = (existing.grandPrixWeekends || []).map(gp => (
+            gp && gp.name ? Object.assign({}, gp, { name: this.canonicalWeekendName(gp.name) }) : gp
+        ));
+        // Editorial overrides go on top of the merge, then the same session from several
+        // channels keeps one primary (the highest-priority channel unless overridden)
+        const { weekends: overridden } = await applyOverridesWithLookup(
+            yt,
+            this.mergeArchives(existingWeekends, fullGrouped || []),
+            this.overrides
+        );
+        const merged = calendarWindows.annotateWeekends(overridden.map(gp => Object.assign({}, gp, {
+            videos: selectPrimaryVideos(gp.videos, this.channels, { preferred: this.overrides.primary })
+                .sort(this.videoComparator(gp.name))
+        })), this.weekendWindows, this.targetYear, this.aliases);
         const totalVideos = merged.reduce((sum, gp) => sum + (gp.videos?.length || 0), 0);
 
         return {
+            schemaVersion: SCHEMA_VERSION,
             lastUpdated: new Date().toISOString(),
             totalVideos,
             grandPrixWeekends: merged
         };
     }
 
+    canonicalWeekendName(name) {
+        const match = calendarWindows.findWindowForWeekend(this.weekendWindows, name, this.targetYear, this.aliases);
+        return match ? match.name : name;
+    }
+
     mergeArchives(existing, incoming) {
         const byName = new Map();
 
         const addGp = (gp) => {
             if (!gp || !gp.name) return;
             const key = gp.name;
-            const base = byName.get(key) || { name: gp.name, videos: [], latestDate: null };
+            const base = byName.get(key) || { name: gp.name, videos: [], extras: [], latestDate: null };
+            base.extras = base.extras || [];
 
             const seen = new Set(base.videos.map(v => v.videoId));
             (gp.videos || []).forEach(v => {
@@ -407,6 +536,17 @@ class F1VideoFetcher {
                     base.videos.push(v);
                 }
             });
+            const seenExtras = new Set(base.extras.map(v => v.videoId));
+            (gp.extras || []).forEach(v => {
+                if (v && v.videoId && !seenExtras.has(v.videoId)) {
+                    seenExtras.add(v.videoId);
+                    base.extras.push(v);
+                }
+            });
+
+            // Incremental runs append to existing weekends; keep session order
+            base.videos.sort(this.videoComparator(base.name));
+            base.extras.sort(calendarWindows.compareExtras);
 
             // Recompute latestDate
             const latest = base.videos
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SCENARIOS = ['new-upload', 'video-private', 'quota-exceeded', '500-burst'];
+
+function parseArgs(argv = process.argv.slice(2)) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) continue;
+        args[match[1]] = match[2] !== undefined ? match[2] : argv[i + 1];
+        if (match[2] === undefined) i += 1;
+    }
+    return args;
+}
+
+/** Seed uploads from an archive file (public/data/videos-YYYY.json), newest first. */
+function loadSeed(year, dataDir = path.join(__dirname, '..', 'public', 'data')) {
+    const archive = JSON.parse(fs.readFileSync(path.join(dataDir, `videos-${year}.json`), 'utf8'));
+    return (archive.grandPrixWeekends || [])
+        .flatMap((gp) => gp.videos || [])
+        .map((video) => ({
+            videoId: video.videoId,
+            title: video.title,
+            description: video.description || '',
+            publishedAt: video.publishedAt,
+            thumbnail: video.thumbnail || ''
+        }))
+        .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function sendApiError(res, status, reason, message) {
+    sendJson(res, status, { error: { code: status, message, errors: [{ reason, message }] } });
+}
+
+/**
+ * Minimal YouTube Data API v3 stand-in for `channels`, `playlistItems` and `videos`.
+ * The returned server carries a `mock` handle to script changes between runs:
+ * addUpload(video), setPrivate(videoId), failNext(count, status, reason), requests.
+ */
+function createMockServer({ seed = [], scenario = null, now = () => new Date() } = {}) {
+    if (scenario && !SCENARIOS.includes(scenario)) {
+        throw new Error(`Unknown mock scenario "${scenario}"; expected one of ${SCENARIOS.join(', ')}`);
+    }
+
+    const uploads = seed.slice().sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+    const privateIds = new Set();
+    const failures = [];
+    const requests = [];
+    let firstPagesServed = 0;
+
+    const mock = {
+        requests,
+        uploads,
+        addUpload(video) {
+            uploads.unshift({ description: '', thumbnail: '', ...video });
+            uploads.sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+        },
+        setPrivate(videoId) {
+            privateIds.add(videoId);
+        },
+        failNext(count, status, reason = status === 403 ? 'quotaExceeded' : 'backendError') {
+            failures.push({ remaining: count, status, reason });
+        }
+    };
+
+    // new-upload / video-private change the channel from the second scan on,
+    // so a first run sees the seed and the next run sees the change.
+    const applyScenario = () => {
+        const newest = uploads[0];
+        if (scenario === 'new-upload' && newest) {
+            const weekend = newest.title.includes('|') ? newest.title.split('|').slice(1).join('|').trim() : newest.title;
+            mock.addUpload({
+                videoId: 'mockUpload01',
+                title: `Race Highlights | ${weekend}`,
+                publishedAt: new Date(Date.parse(newest.publishedAt) + 60 * 60 * 1000).toISOString()
+            });
+        }
+        if (scenario === 'video-private' && newest) {
+            mock.setPrivate(newest.videoId);
+        }
+    };
+    if (scenario === 'quota-exceeded') mock.failNext(Infinity, 403, 'quotaExceeded');
+    if (scenario === '500-burst') mock.failNext(3, 500);
+
+    const handlers = {
+        channels(params) {
+            const id = params.get('id') || '';
+            return {
+                items: [{ id, contentDetails: { relatedPlaylists: { uploads: `UU${id.replace(/^UC/, '')}` } } }]
+            };
+        },
+
+        playlistItems(params) {
+            const start = Number(params.get('pageToken') || 0);
+            const size = Math.min(Number(params.get('maxResults') || 5), 50);
+            if (start === 0) {
+                firstPagesServed += 1;
+                if (firstPagesServed === 2) applyScenario();
+            }
+            const page = uploads.slice(start, start + size).map((video) => {
+                const hidden = privateIds.has(video.videoId);
+                return {
+                    snippet: {
+                        publishedAt: video.publishedAt,
+                        title: hidden ? 'Private video' : video.title,
+                        description: hidden ? 'This video is private.' : video.description,
+                        thumbnails: hidden ? {} : { high: { url: video.thumbnail } },
+                        resourceId: { videoId: video.videoId }
+                    },
+                    contentDetails: hidden
+                        ? { videoId: video.videoId }
+                        : { videoId: video.videoId, videoPublishedAt: video.publishedAt }
+                };
+            });
+            const body = { items: page };
+            if (start + size < uploads.length) body.nextPageToken = String(start + size);
+            return body;
+        },
+
+        videos(params) {
+            const ids = new Set((params.get('id') || '').split(',').filter(Boolean));
+            return {
+                items: uploads
+                    .filter((video) => ids.has(video.videoId) && !privateIds.has(video.videoId))
+                    .map((video) => ({
+                        id: video.videoId,
+                        snippet: {
+                            title: video.title,
+                            description: video.description,
+                            publishedAt: video.publishedAt,
+                            thumbnails: { high: { url: video.thumbnail } }
+                        },
+                        contentDetails: { duration: video.duration || 'PT7M30S', definition: 'hd' },
+                        statistics: { viewCount: String(video.viewCount ?? 250000) },
+                        status: { privacyStatus: 'public', uploadStatus: 'processed' }
+                    }))
+            };
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const endpoint = url.pathname.replace(/^\/+/, '').replace(/^youtube\/v3\//, '');
+        requests.push({ endpoint, params: Object.fromEntries(url.searchParams), at: now().toISOString() });
+
+        const failure = failures.find((entry) => entry.remaining > 0);
+        if (failure) {
+            failure.remaining -= 1;
+            sendApiError(res, failure.status, failure.reason, `Mock ${failure.status} (${failure.reason})`);
+            return;
+        }
+
+        const handler = handlers[endpoint];
+        if (!handler) {
+            sendApiError(res, 404, 'notFound', `Mock has no endpoint "${endpoint}"`);
+            return;
+        }
+        if (!url.searchParams.get('key')) {
+            sendApiError(res, 403, 'forbidden', 'The request is missing a valid API key.');
+            return;
+        }
+
+        const body = handler(url.searchParams);
+        const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag });
+            res.end();
+            return;
+        }
+        sendJson(res, 200, body, { ETag: etag });
+    });
+
+    server.mock = mock;
+    return server;
+}
+
+function main() {
+    const args = parseArgs();
+    const year = args.year || process.env.TARGET_YEAR || new Date().getUTCFullYear();
+    const port = parseInt(args.port || process.env.MOCK_YOUTUBE_PORT || '8765', 10);
+    const server = createMockServer({ seed: loadSeed(year), scenario: args.scenario || null });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`Mock YouTube API serving ${server.mock.uploads.length} ${year} uploads` +
+            `${args.scenario ? ` (scenario: ${args.scenario})` : ''}`);
+        console.log(`Point the fetchers at it: YT_BASE_URL=http://127.0.0.1:${port} YOUTUBE_API_KEY=mock npm run fetch`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createMockServer, loadSeed, SCENARIOS };
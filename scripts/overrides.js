@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const { grandPrixNamesMatch } = require('../public/assets/js/calendar-state');
+const { SESSION_TYPES } = require('../public/assets/js/session-classifier');
+
+const SUPPORTED_VERSION = 1;
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const SESSION_TYPE_IDS = new Set(SESSION_TYPES.map((entry) => entry.type));
+const BATCH_SIZE = 50;
+
+function overridesPath(year, configDir = process.env.OVERRIDES_DIR || CONFIG_DIR) {
+    return path.join(configDir, `overrides-${year}.json`);
+}
+
+function emptyOverrides(year, configPath) {
+    return {
+        year,
+        path: configPath,
+        pins: [],
+        exclude: new Map(),
+        titles: new Map(),
+        sessionTypes: new Map(),
+        primary: []
+    };
+}
+
+function checkSessionType(value, label) {
+    if (!SESSION_TYPE_IDS.has(value)) {
+        throw new Error(`${label}: unknown session type "${value}" (expected one of ${Array.from(SESSION_TYPE_IDS).join(', ')})`);
+    }
+    return value;
+}
+
+/**
+ * Editorial overrides for one season from config/overrides-YYYY.json. A missing
+ * file means no overrides. `exclude` entries may be bare ids or { videoId, reason }.
+ */
+function loadOverrides({ year, configPath = overridesPath(year) } = {}) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return emptyOverrides(year, configPath);
+        throw new Error(`Failed to load overrides at ${configPath}: ${err.message}`);
+    }
+    return parseOverrides(config, { year, configPath });
+}
+
+function parseOverrides(config, { year, configPath = overridesPath(year) } = {}) {
+    if (config?.version !== SUPPORTED_VERSION) {
+        throw new Error(`Unsupported overrides version ${config?.version} in ${configPath}; expected ${SUPPORTED_VERSION}`);
+    }
+
+    const overrides = emptyOverrides(year, configPath);
+    (config.pins || []).forEach((pin, index) => {
+        const label = `Override pin at index ${index}`;
+        if (!pin?.videoId || !pin?.weekend) throw new Error(`${label} needs a videoId and a weekend`);
+        overrides.pins.push({
+            videoId: pin.videoId,
+            weekend: pin.weekend,
+            session: pin.session ? checkSessionType(pin.session, label) : null
+        });
+    });
+    (config.exclude || []).forEach((entry, index) => {
+        const videoId = typeof entry === 'string' ? entry : entry?.videoId;
+        if (!videoId) throw new Error(`Override exclude at index ${index} has no videoId`);
+        overrides.exclude.set(videoId, typeof entry === 'string' ? null : entry.reason || null);
+    });
+    Object.entries(config.titles || {}).forEach(([videoId, title]) => {
+        if (typeof title !== 'string' || !title.trim()) throw new Error(`Override title for ${videoId} must be a non-empty string`);
+        overrides.titles.set(videoId, title);
+    });
+    Object.entries(config.sessionTypes || {}).forEach(([videoId, type]) => {
+        overrides.sessionTypes.set(videoId, checkSessionType(type, `Override sessionType for ${videoId}`));
+    });
+    overrides.primary = (config.primary || []).map(String);
+
+    const pinned = new Set(overrides.pins.map((pin) => pin.videoId));
+    overrides.exclude.forEach((reason, videoId) => {
+        if (pinned.has(videoId)) throw new Error(`Video ${videoId} is both pinned and excluded in ${configPath}`);
+    });
+    return overrides;
+}
+
+// Every record in the weekends, wherever it sits, keyed by videoId.
+function indexRecords(weekends) {
+    const index = new Map();
+    const add = (record, weekend, list, parent = null) => {
+        if (!record?.videoId) return;
+        if (!index.has(record.videoId)) index.set(record.videoId, []);
+        index.get(record.videoId).push({ record, weekend, list, parent });
+    };
+    for (const weekend of weekends) {
+        for (const video of weekend.videos || []) {
+            add(video, weekend, 'videos');
+            (video.alternates || []).forEach((alt) => add(alt, weekend, 'alternates', video));
+        }
+        (weekend.extras || []).forEach((extra) => add(extra, weekend, 'extras'));
+    }
+    return index;
+}
+
+function removeRecord({ record, weekend, list, parent }) {
+    if (list === 'alternates') {
+        parent.alternates = parent.alternates.filter((alt) => alt !== record);
+        if (parent.alternates.length === 0) delete parent.alternates;
+        return;
+    }
+    weekend[list] = weekend[list].filter((item) => item !== record);
+    // A primary's alternates stay with the weekend; selectPrimaryVideos regroups them
+    if (list === 'videos' && record.alternates?.length) {
+        weekend.videos.push(...record.alternates);
+    }
+}
+
+/**
+ * Pinned ids that are not in the data yet, to look up on YouTube. An exclusion
+ * that is already out of the data has nothing to do, so it costs no lookup.
+ */
+function unresolvedOverrideIds(weekends, overrides) {
+    const present = indexRecords(weekends);
+    return Array.from(new Set(overrides.pins.map((pin) => pin.videoId))).filter((videoId) => !present.has(videoId));
+}
+
+/** videos.list lookups for unresolved ids, as stored video records keyed by id. Missing ids are left out. */
+async function resolveOverrideVideos(yt, ids) {
+    const resolved = new Map();
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const items = await yt.listVideosByIds(ids.slice(i, i + BATCH_SIZE), { parts: ['snippet'] });
+        for (const item of items) {
+            const sn = item?.snippet;
+            if (!item?.id || !sn) continue;
+            const record = {
+                videoId: item.id,
+                title: sn.title || '',
+                description: sn.description || '',
+                publishedAt: sn.publishedAt || null,
+                thumbnail: sn.thumbnails?.high?.url || sn.thumbnails?.default?.url || ''
+            };
+            if (sn.channelId) {
+                record.channelId = sn.channelId;
+                record.channelName = sn.channelTitle || '';
+            }
+            resolved.set(item.id, record);
+        }
+    }
+    return resolved;
+}
+
+function latestDateOf(videos) {
+    const latest = (videos || [])
+        .map((video) => Date.parse(video.publishedAt))
+        .filter((time) => !Number.isNaN(time))
+        .sort((a, b) => b - a)[0];
+    return latest ? new Date(latest).toISOString() : null;
+}
+
+/**
+ * Apply an overrides file to merged weekends. Runs after every merge so the
+ * result is the same whether a video came from this run's scan or from the
+ * committed archive. Titles and session types the file no longer sets are
+ * put back. `resolved` holds records for pinned ids that are not in the data
+ * (see resolveOverrideVideos); pass null when YouTube could not be asked.
+ * Returns the updated weekends and the overrides that no longer match
+ * anything, as { kind, videoId, reason }.
+ */
+function applyOverrides(weekends, overrides, { year = overrides.year, resolved = new Map() } = {}) {
+    const result = (weekends || []).map((weekend) => ({
+        ...weekend,
+        videos: (weekend.videos || []).map((video) => (
+            video.alternates ? { ...video, alternates: video.alternates.map((alt) => ({ ...alt })) } : { ...video }
+        )),
+        extras: (weekend.extras || []).map((extra) => ({ ...extra }))
+    }));
+    const stale = [];
+    const touched = new Set();
+
+    overrides.exclude.forEach((reason, videoId) => {
+        // Not in the data is what an exclusion is for, so it is never stale
+        (indexRecords(result).get(videoId) || []).forEach((location) => {
+            removeRecord(location);
+            touched.add(location.weekend);
+        });
+    });
+    let index = indexRecords(result);
+
+    for (const pin of overrides.pins) {
+        const target = result.find((weekend) => (
+            weekend.name === pin.weekend || grandPrixNamesMatch(weekend.name, pin.weekend, year)
+        ));
+        if (!target) {
+            stale.push({ kind: 'pin', videoId: pin.videoId, reason: `weekend "${pin.weekend}" is not in the data` });
+            continue;
+        }
+        const locations = index.get(pin.videoId) || [];
+        const source = locations[0]?.record || resolved?.get(pin.videoId);
+        if (!source) {
+            const reason = resolved ? 'video is not in the data or on YouTube' : 'video is not in the data (not looked up)';
+            stale.push({ kind: 'pin', videoId: pin.videoId, reason });
+            continue;
+        }
+        locations.forEach((location) => {
+            removeRecord(location);
+            touched.add(location.weekend);
+        });
+        const { alternates, category, ...record } = source;
+        if (pin.session) record.sessionType = pin.session;
+        target.videos.push(record);
+        touched.add(target);
+        index = indexRecords(result);
+    }
+
+    const pinnedSessions = new Map(overrides.pins.filter((pin) => pin.session).map((pin) => [pin.videoId, pin.session]));
+    index.forEach((locations, videoId) => {
+        const title = overrides.titles.get(videoId);
+        const sessionType = overrides.sessionTypes.get(videoId) || pinnedSessions.get(videoId);
+        for (const { record } of locations) {
+            if (title) {
+                record.originalTitle = record.originalTitle || record.title;
+                record.title = title;
+            } else if (record.originalTitle) {
+                record.title = record.originalTitle;
+                delete record.originalTitle;
+            }
+            if (sessionType) record.sessionType = sessionType;
+            else delete record.sessionType;
+        }
+    });
+
+    const missing = (kind, ids) => ids.forEach((videoId) => {
+        if (!index.has(videoId)) stale.push({ kind, videoId, reason: 'video is not in the data' });
+    });
+    missing('title', Array.from(overrides.titles.keys()));
+    missing('sessionType', Array.from(overrides.sessionTypes.keys()));
+    missing('primary', overrides.primary);
+
+    touched.forEach((weekend) => {
+        weekend.latestDate = latestDateOf(weekend.videos) || weekend.latestDate || null;
+    });
+    return { weekends: result, stale };
+}
+
+function describeStale(entry) {
+    return `${entry.kind} ${entry.videoId}: ${entry.reason}`;
+}
+
+/**
+ * What the fetchers run after every merge: look up unknown ids, apply, and warn
+ * about stale entries. Without a client (`yt` null) nothing is looked up.
+ */
+async function applyOverridesWithLookup(yt, weekends, overrides) {
+    const ids = unresolvedOverrideIds(weekends, overrides);
+    const resolved = !yt ? null : ids.length ? await resolveOverrideVideos(yt, ids) : new Map();
+    const outcome = applyOverrides(weekends, overrides, { resolved });
+    outcome.stale.forEach((entry) => {
+        console.warn(`⚠️  Stale override in ${path.basename(overrides.path)}: ${describeStale(entry)}`);
+    });
+    return outcome;
+}
+
+module.exports = {
+    applyOverrides,
+    applyOverridesWithLookup,
+    describeStale,
+    loadOverrides,
+    overridesPath,
+    parseOverrides,
+    resolveOverrideVideos,
+    unresolvedOverrideIds
+};
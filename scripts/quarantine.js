@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveGrandPrixAlias } = require('../public/assets/js/calendar-state');
+
+function quarantinePath(year, stateDir = process.env.QUARANTINE_DIR || path.join(process.cwd(), 'state')) {
+    return path.join(stateDir, `quarantine-${year}.json`);
+}
+
+async function readQuarantine(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`Failed to read quarantine at ${filePath}: ${err.message}`);
+    }
+}
+
+function storedIds(weekends) {
+    const ids = new Set();
+    for (const gp of weekends || []) {
+        for (const video of gp?.videos || []) {
+            ids.add(video.videoId);
+            (video.alternates || []).forEach((alt) => ids.add(alt.videoId));
+        }
+        (gp?.extras || []).forEach((extra) => ids.add(extra.videoId));
+    }
+    return ids;
+}
+
+/**
+ * Keep videos that no weekend would take (search-like `unmatched` items) in
+ * state/quarantine-YYYY.json for review instead of dropping them. An entry stays
+ * until its id shows up in `weekends`, i.e. a later run matched it or it was
+ * pinned with `npm run curate -- add`. `suggestedWeekend` is what the alias table
+ * makes of the title and description, if anything. Returns the entries kept.
+ */
+async function updateQuarantine({
+    year,
+    unmatched = [],
+    weekends = [],
+    aliases = {},
+    reason = 'outside every weekend window',
+    now = new Date(),
+    filePath = quarantinePath(year)
+}) {
+    const existing = await readQuarantine(filePath);
+    const byId = new Map((existing?.videos || []).map((entry) => [entry.videoId, entry]));
+
+    for (const video of unmatched) {
+        const videoId = video?.id?.videoId;
+        const snippet = video?.snippet || {};
+        if (!videoId) continue;
+        const suggested = resolveGrandPrixAlias(`${snippet.title || ''} ${snippet.description || ''}`, aliases, year);
+        byId.set(videoId, {
+            videoId,
+            title: snippet.title || '',
+            publishedAt: snippet.publishedAt || null,
+            channelId: snippet.channelId || null,
+            channelName: snippet.channelTitle || null,
+            reason,
+            suggestedWeekend: suggested || null,
+            firstSeenAt: byId.get(videoId)?.firstSeenAt || now.toISOString()
+        });
+    }
+    storedIds(weekends).forEach((videoId) => byId.delete(videoId));
+
+    const videos = Array.from(byId.values()).sort((a, b) => Date.parse(a.publishedAt) - Date.parse(b.publishedAt));
+    // Rewritten only when the list changes, so a quiet run leaves nothing to commit
+    if (JSON.stringify(videos) === JSON.stringify(existing?.videos || [])) return videos;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ year: Number(year), updatedAt: now.toISOString(), videos }, null, 2) + '\n');
+    if (videos.length) {
+        console.warn(`🧺 ${videos.length} video(s) waiting for review in ${path.relative(process.cwd(), filePath)}`);
+    }
+    return videos;
+}
+
+module.exports = { quarantinePath, readQuarantine, updateQuarantine };
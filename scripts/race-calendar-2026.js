@@ -1,11 +1,12 @@
 const fs = require('fs');
 const path = require('path');
+const { readCalendarEntries } = require('../public/assets/js/calendar-state');
 
 function loadCalendar() {
   const jsonPath = path.join(__dirname, '..', 'public', 'data', 'calendar2026.json');
   try {
     const raw = fs.readFileSync(jsonPath, 'utf8');
-    const entries = JSON.parse(raw);
+    const entries = readCalendarEntries(JSON.parse(raw), 'calendar2026.json');
 
     return entries
       .map((entry) => {
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { readCalendarEntries } = require('../public/assets/js/calendar-state');
 
 const defaultYear = new Date().getUTCFullYear();
 const targetYear = parseInt(process.env.TARGET_YEAR || `${defaultYear}`, 10);
@@ -14,7 +15,7 @@ function loadCalendar(year) {
   if (fs.existsSync(jsonPath)) {
     try {
       const raw = fs.readFileSync(jsonPath, 'utf8');
-      const entries = JSON.parse(raw);
+      const entries = readCalendarEntries(JSON.parse(raw), `calendar${year}.json`);
       return entries
         .map((entry) => {
           const times = [];
@@ -0,0 +1,51 @@
+const assert = require('node:assert/strict');
+
+const { buildFeedFiles, collectHighlights } = require('./build-feeds');
+
+const video = (videoId, title, publishedAt, extra = {}) => ({
+    videoId,
+    title,
+    publishedAt,
+    thumbnail: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+    ...extra
+});
+const archive = {
+    grandPrixWeekends: [{
+        name: '2026 Dutch Grand Prix',
+        round: 14,
+        videos: [
+            video('nl-fp1', 'FP1 Highlights | 2026 Dutch Grand Prix', '2026-08-21T13:05:12.000Z', {
+                alternates: [video('nl-fp1-alt', 'FP1 | Dutch GP', '2026-08-21T14:00:00.000Z')]
+            }),
+            video('nl-race', 'Race Highlights | 2026 Dutch Grand Prix', '2026-08-23T16:00:00.000Z', { session: 'race' }),
+            video('nl-q', 'Qualifying & "Pole" <Highlights>', '2026-08-22T15:33:47.000Z'),
+            video('nl-gone', 'Sprint Highlights | 2026 Dutch Grand Prix', '2026-08-22T11:04:24.000Z', { unavailable: true })
+        ],
+        extras: [video('nl-onboard', 'Pole Lap Onboard', '2026-08-22T16:00:00.000Z', { category: 'onboard' })]
+    }]
+};
+
+const entries = collectHighlights(archive);
+assert.deepEqual(entries.map((e) => e.videoId), ['nl-race', 'nl-q', 'nl-fp1'], 'Newest first, primaries only, watchable only');
+assert.equal(entries[0].id, 'tag:f1recap.pages.dev,2025:video:nl-race', 'Ids depend on the video alone');
+assert.deepEqual([entries[0].grandPrix, entries[0].round, entries[0].sessionLabel], ['2026 Dutch Grand Prix', 14, 'Race']);
+
+const files = new Map(buildFeedFiles(archive, { year: 2026 }).map(({ fileName, body }) => [fileName, body]));
+assert.equal(files.size, 18, 'All highlights plus one Atom and JSON pair per session type');
+
+const atom = files.get('highlights.atom');
+assert.match(atom, /<updated>2026-08-23T16:00:00.000Z<\/updated>/, 'The feed is as new as its newest entry');
+assert.match(atom, /<title>Qualifying &amp; &quot;Pole&quot; &lt;Highlights&gt;<\/title>/);
+assert.match(atom, /<link rel="alternate" type="text\/html" href="https:\/\/www.youtube.com\/watch\?v=nl-race"\/>/);
+assert.match(atom, /<media:thumbnail url="https:\/\/i.ytimg.com\/vi\/nl-race\/hqdefault.jpg"\/>/);
+
+const race = JSON.parse(files.get('highlights-race.json'));
+assert.deepEqual(race.items.map((item) => item.id), ['tag:f1recap.pages.dev,2025:video:nl-race']);
+assert.deepEqual(race.items[0]._f1recap, { videoId: 'nl-race', grandPrix: '2026 Dutch Grand Prix', round: 14, session: 'race' });
+assert.deepEqual(JSON.parse(files.get('highlights-fp3.json')).items, [], 'Empty session feeds still exist');
+
+// The next run with nothing new must produce the same bytes
+const again = buildFeedFiles(JSON.parse(JSON.stringify(archive)), { year: 2026 });
+again.forEach(({ fileName, body }) => assert.equal(body, files.get(fileName), fileName));
+
+console.log('build-feeds checks passed');
@@ -0,0 +1,75 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildGrandPrixModel, buildGrandPrixPages, renderGrandPrixPage } = require('./build-gp-pages');
+
+const dutch = {
+    name: 'Dutch Grand Prix',
+    startDate: '2026-08-21T10:30:00.000Z',
+    sessions: [
+        { title: 'FP1', publishedAt: '2026-08-21T10:30:00.000Z' },
+        { title: 'Sprint', publishedAt: '2026-08-22T10:00:00.000Z' },
+        { title: 'Grand Prix', publishedAt: '2026-08-23T13:00:00.000Z' }
+    ]
+};
+const video = (videoId, title, publishedAt, extra = {}) => ({
+    videoId,
+    title,
+    publishedAt,
+    thumbnail: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+    ...extra
+});
+const videoWeekends = [{
+    name: '2026 Dutch Grand Prix',
+    calendarName: 'Dutch Grand Prix',
+    round: 14,
+    videos: [
+        video('nl-fp1', 'FP1 Highlights | 2026 Dutch Grand Prix', '2026-08-21T13:05:12.000Z'),
+        video('nl-race', 'Race Highlights | 2026 Dutch Grand Prix', '2026-08-23T16:00:00.000Z', {
+            unavailable: true,
+            alternates: [video('nl-race-alt', 'Race <Highlights> | Dutch GP', '2026-08-23T17:00:00.000Z')]
+        })
+    ]
+}];
+
+const model = buildGrandPrixModel(dutch, { year: 2026, round: 1, videoWeekends });
+assert.equal(model.path, '/gp/2026/dutch/');
+assert.equal(model.round, 14, 'The stamped round wins over calendar position');
+assert.deepEqual(model.sessions.map((s) => s.video?.videoId || null), ['nl-fp1', null, 'nl-race-alt'], 'An unavailable upload gives way to its alternate');
+
+const html = renderGrandPrixPage(model);
+assert.match(html, /<link rel="canonical" href="https:\/\/f1recap.pages.dev\/gp\/2026\/dutch\/">/);
+assert.match(html, /<meta property="og:image" content="https:\/\/i.ytimg.com\/vi\/nl-race-alt\/hqdefault.jpg">/, 'The race thumbnail is the preview image');
+assert.match(html, /<time datetime="2026-08-23T13:00:00.000Z">Sun 23 Aug, 13:00 UTC<\/time>/);
+assert.match(html, /Race &lt;Highlights&gt; \| Dutch GP/);
+assert.match(html, /data-view="grandprix"[^>]*data-grand-prix="Dutch Grand Prix"/, 'calendar.js takes over the page');
+
+const ld = [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)].map((m) => JSON.parse(m[1]));
+assert.equal(ld[0]['@type'], 'SportsEvent');
+assert.equal(ld[0].subEvent.length, 3);
+assert.deepEqual(ld[0].video.map((v) => v.url), [
+    'https://www.youtube.com/watch?v=nl-fp1',
+    'https://www.youtube.com/watch?v=nl-race-alt'
+]);
+
+// Pages of weekends dropped from the calendar go away with the next build
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gp-pages-'));
+const dataDir = path.join(dir, 'data');
+const outDir = path.join(dir, 'gp');
+fs.mkdirSync(dataDir);
+fs.mkdirSync(path.join(outDir, '2026', 'dropped'), { recursive: true });
+fs.writeFileSync(path.join(dataDir, 'calendar2026.json'), JSON.stringify({ schemaVersion: '1.0', year: 2026, weekends: [dutch] }));
+fs.writeFileSync(path.join(dataDir, 'videos-2026.json'), JSON.stringify({ grandPrixWeekends: videoWeekends }));
+
+buildGrandPrixPages({ year: 2026, dataDir, outDir }).then((models) => {
+    assert.equal(models.length, 1);
+    assert.deepEqual(fs.readdirSync(path.join(outDir, '2026')), ['dutch']);
+    assert.equal(fs.readFileSync(path.join(outDir, '2026', 'dutch', 'index.html'), 'utf8'), html, 'Same data, same page');
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('build-gp-pages checks passed');
+}).catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildSitemap, findMissingPages } = require('./build-sitemap');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-'));
+const write = (file, body) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof body === 'string' ? body : JSON.stringify(body));
+};
+const page = (attrs) => `<html><body><script src="assets/js/calendar.js" ${attrs}></script></body></html>`;
+
+write('index.html', page('data-year="2026" data-view="unified" data-source="homepage"'));
+write('standings.html', page('data-year="2026" data-view="standings"'));
+write('archive-2025.html', page('data-year="2025" data-view="timeline" data-source="archive"'));
+write('about.html', '<html></html>');
+write('data/videos-2026.json', { lastUpdated: '2026-08-22T17:09:07.402Z', grandPrixWeekends: [] });
+write('data/videos-2025.json', {
+    lastUpdated: '2025-12-27T07:10:38.354Z',
+    grandPrixWeekends: [{
+        name: '2025 Dutch Grand Prix',
+        calendarName: 'Dutch Grand Prix',
+        videos: [
+            { videoId: 'fp1', title: 'FP1 Highlights', publishedAt: '2025-08-29T13:00:00.000Z' },
+            { videoId: 'race', title: 'Race Highlights', publishedAt: '2025-08-31T16:00:00.000Z' }
+        ]
+    }]
+});
+write('data/standings2026.json', { updatedAt: '2026-08-23T09:00:00.000Z' });
+write('data/calendar2025.json', { weekends: [
+    { name: 'Dutch Grand Prix', startDate: '2025-08-29T10:30:00.000Z', sessions: [] },
+    { name: 'Italian Grand Prix', startDate: '2025-09-05T10:30:00.000Z', sessions: [] }
+] });
+write('data/calendar2026.json', { weekends: [{ name: 'Dutch Grand Prix', startDate: '2026-08-21T10:30:00.000Z', sessions: [] }] });
+write('gp/2025/italian/index.html', '<html></html>');
+write('gp/2025/dutch/index.html', '<html></html>');
+write('gp/2026/dutch/index.html', '<html></html>');
+
+(async () => {
+    const entries = await buildSitemap({ publicDir: dir });
+    assert.deepEqual(entries.map((e) => e.loc), [
+        '/', '/standings', '/archive-2025', '/about',
+        '/gp/2026/dutch/', '/gp/2025/dutch/', '/gp/2025/italian/'
+    ]);
+    const byLoc = Object.fromEntries(entries.map((e) => [e.loc, e]));
+    assert.equal(byLoc['/'].lastmod, '2026-08-22');
+    assert.equal(byLoc['/standings'].lastmod, '2026-08-23');
+    assert.equal(byLoc['/archive-2025'].lastmod, '2025-12-27');
+    assert.equal(byLoc['/about'].lastmod, null, 'No data, no lastmod');
+    assert.equal(byLoc['/gp/2025/dutch/'].lastmod, '2025-08-31', 'A weekend page dates from its newest highlight');
+    assert.deepEqual([byLoc['/gp/2026/dutch/'].changefreq, byLoc['/gp/2025/dutch/'].changefreq], ['weekly', 'yearly']);
+
+    const xml = fs.readFileSync(path.join(dir, 'sitemap.xml'), 'utf8');
+    assert.match(xml, /<loc>https:\/\/f1recap.pages.dev\/gp\/2025\/dutch\/<\/loc>\n {8}<lastmod>2025-08-31<\/lastmod>/);
+    assert.deepEqual(await findMissingPages(xml, dir), []);
+
+    fs.rmSync(path.join(dir, 'gp', '2025', 'italian'), { recursive: true });
+    fs.rmSync(path.join(dir, 'standings.html'));
+    assert.deepEqual(await findMissingPages(xml, dir), [
+        'https://f1recap.pages.dev/standings',
+        'https://f1recap.pages.dev/gp/2025/italian/'
+    ], 'A listed URL without a page fails the check');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('build-sitemap checks passed');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -1,11 +1,15 @@
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
 
 const {
     buildHomepageSections,
     classifyWeekend,
     findMatchingVideoWeekend,
+    getGrandPrixSlug,
     grandPrixNamesMatch,
     orderWeekendsByStart,
+    resolveGrandPrixAlias,
     sessionMatchesVideo
 } = require('../public/assets/js/calendar-state.js');
 
@@ -45,6 +49,42 @@ assert.equal(
     '2026 Australian Grand Prix'
 );
 
+// Stamped weekends join on calendarName, so a looser name match can no longer steal them
+const emiliaWeekend = { name: 'Emilia Romagna Grand Prix', startDate: '2026-05-15T11:30:00.000Z', sessions: [] };
+const romagnaVideos = { name: '2026 Romagna Grand Prix', calendarName: 'Emilia Romagna Grand Prix', videos: [] };
+const italianVideos = { name: '2026 Italian Grand Prix', calendarName: 'Italian Grand Prix', videos: [] };
+assert.equal(findMatchingVideoWeekend(emiliaWeekend, [italianVideos, romagnaVideos], '2026'), romagnaVideos);
+assert.equal(findMatchingVideoWeekend({ name: 'Italian Grand Prix' }, [romagnaVideos], '2026'), null);
+assert.equal(
+    sessionMatchesVideo('Sprint', { title: 'Highlights | 2026 Chinese Grand Prix', session: 'sprint' }),
+    true,
+    'A stored session wins over the title'
+);
+
+const aliases = {
+    'Mexico City Grand Prix': ['Mexican Grand Prix', '#MexicoGP'],
+    'Brazilian Grand Prix': ['Sao Paulo', '#BrazilGP'],
+    'Dutch Grand Prix': ['Zandvoort', '#DutchGP'],
+    'Emilia Romagna Grand Prix': ['Emilia-Romagna', 'Imola'],
+    'Italian Grand Prix': ['Italy', 'Monza']
+};
+assert.equal(resolveGrandPrixAlias('FP1 Highlights | 2025 São Paulo Grand Prix', aliases, 2025), 'Brazilian Grand Prix');
+assert.equal(resolveGrandPrixAlias('Heineken Dutch Grand Prix 2025', aliases, 2025), 'Dutch Grand Prix', 'Sponsor names do not get in the way');
+assert.equal(resolveGrandPrixAlias('Best onboards from the weekend #DutchGP', aliases, 2025), 'Dutch Grand Prix');
+assert.equal(resolveGrandPrixAlias('Race Highlights | 2025 Emilia-Romagna Grand Prix', aliases, 2025), 'Emilia Romagna Grand Prix');
+assert.equal(resolveGrandPrixAlias('Race Highlights | 2025 Qatar Grand Prix', aliases, 2025), null);
+assert.deepEqual(
+    ['Dutch Grand Prix', 'São Paulo Grand Prix', 'Barcelona-Catalunya'].map((name) => getGrandPrixSlug(name, 2026)),
+    ['dutch', 'sao-paulo', 'barcelona-catalunya']
+);
+assert.equal(grandPrixNamesMatch('Mexico City Grand Prix', '2025 Mexican Grand Prix', '2025'), false, 'Token matching alone misses it');
+assert.equal(grandPrixNamesMatch('Mexico City Grand Prix', '2025 Mexican Grand Prix', '2025', aliases), true);
+assert.equal(grandPrixNamesMatch('Italian Grand Prix', '2025 Emilia Romagna Grand Prix', '2025', aliases), false);
+assert.equal(
+    findMatchingVideoWeekend({ name: 'Brazilian Grand Prix' }, [{ name: '2025 Sao Paulo Grand Prix', videos: [] }], '2025', aliases)?.name,
+    '2025 Sao Paulo Grand Prix'
+);
+
 const fridayDuringWeekend = Date.parse('2026-03-06T08:45:01.027Z');
 assert.equal(
     classifyWeekend(australiaWeekend, australiaVideos, fridayDuringWeekend).status,
@@ -123,4 +163,15 @@ assert.deepEqual(
     'Completed weekends should preserve calendar order on the homepage'
 );
 
+// In the browser calendar-state.js reads the classifier off the page, so every page must load it first
+const publicDir = path.join(__dirname, '..', 'public');
+fs.readdirSync(publicDir).filter((file) => file.endsWith('.html')).forEach((file) => {
+    const scripts = [...fs.readFileSync(path.join(publicDir, file), 'utf8').matchAll(/<script[^>]*src="[^"]*\/([\w-]+\.js)"/g)]
+        .map((match) => match[1]);
+    const stateIndex = scripts.indexOf('calendar-state.js');
+    if (stateIndex === -1) return;
+    const classifierIndex = scripts.indexOf('session-classifier.js');
+    assert.ok(classifierIndex !== -1 && classifierIndex < stateIndex, `${file} must load session-classifier.js before calendar-state.js`);
+});
+
 console.log('calendar-state regression checks passed');
@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+
+const { annotateWeekends, buildWeekendWindows, compareBySessionStart, findWindowForWeekend } = require('./calendar-windows');
+
+const session = (title, publishedAt) => ({ title, publishedAt });
+const video = (videoId, title, publishedAt) => ({ videoId, title, publishedAt });
+
+// 2023 ran the sprint after qualifying on a Saturday; 2024 moved it back before
+const baku2023 = {
+    name: 'Azerbaijan Grand Prix',
+    startDate: '2023-04-28T09:30:00.000Z',
+    sessions: [
+        session('FP1', '2023-04-28T09:30:00.000Z'),
+        session('Qualifying', '2023-04-28T13:00:00.000Z'),
+        session('Sprint Shootout', '2023-04-29T08:30:00.000Z'),
+        session('Sprint', '2023-04-29T13:30:00.000Z'),
+        session('Grand Prix', '2023-04-30T11:00:00.000Z')
+    ]
+};
+const videos = [
+    video('race', 'Race Highlights | 2023 Azerbaijan Grand Prix', '2023-04-30T14:00:00.000Z'),
+    video('sprint', 'Sprint Highlights | 2023 Azerbaijan Grand Prix', '2023-04-29T15:00:00.000Z'),
+    video('shootout', 'Sprint Shootout Highlights | 2023 Azerbaijan Grand Prix', '2023-04-29T10:00:00.000Z'),
+    video('quali', 'Qualifying Highlights | 2023 Azerbaijan Grand Prix', '2023-04-28T15:00:00.000Z'),
+    video('quali-v2', 'Qualifying Highlights (re-upload) | 2023 Azerbaijan Grand Prix', '2023-04-28T18:00:00.000Z'),
+    video('fp1', 'FP1 Highlights | 2023 Azerbaijan Grand Prix', '2023-04-28T11:00:00.000Z')
+];
+
+assert.deepEqual(
+    videos.slice().sort(compareBySessionStart(baku2023)).map((v) => v.videoId),
+    ['fp1', 'quali-v2', 'quali', 'shootout', 'sprint', 'race'],
+    'Calendar order, newest upload first within a session'
+);
+assert.deepEqual(
+    videos.slice(0, 3).sort(compareBySessionStart(null)).map((v) => v.videoId),
+    ['shootout', 'sprint', 'race'],
+    'Without a calendar entry, publish time decides'
+);
+
+// 2025 calendar entries list bare session names, so the listed order decides
+const china2025 = {
+    name: 'Chinese Grand Prix',
+    startDate: '2025-03-21T03:30:00.000Z',
+    sessions: ['FP1', 'Sprint Qualifying', 'Sprint', 'Qualifying', 'Grand Prix']
+        .map((title) => ({ title, publishedAt: null }))
+};
+const chinaVideos = [
+    video('cn-race', 'Race Highlights | 2025 Chinese Grand Prix', '2025-03-23T10:00:00.000Z'),
+    video('cn-quali', 'Qualifying Highlights | 2025 Chinese Grand Prix', '2025-03-22T10:00:00.000Z'),
+    video('cn-sprint', 'Sprint Highlights | 2025 Chinese Grand Prix', '2025-03-22T05:00:00.000Z'),
+    video('cn-sq', 'Sprint Qualifying Highlights | 2025 Chinese Grand Prix', '2025-03-21T10:00:00.000Z'),
+    video('cn-fp1', 'FP1 Highlights | 2025 Chinese Grand Prix', '2025-03-21T06:00:00.000Z')
+];
+assert.deepEqual(
+    chinaVideos.slice().sort(compareBySessionStart(china2025)).map((v) => v.videoId),
+    ['cn-fp1', 'cn-sq', 'cn-sprint', 'cn-quali', 'cn-race'],
+    'Untimed sessions keep their calendar order'
+);
+
+// Timed, untimed and off-calendar videos mixed: one order whatever order they arrive in
+const mixed = {
+    name: 'Chinese Grand Prix',
+    sessions: [session('FP1', '2025-03-21T03:30:00.000Z'), 'Sprint Qualifying', session('Sprint', null), 'Grand Prix']
+};
+const mixedVideos = [
+    ...chinaVideos,
+    video('cn-crash', 'Huge Crash In The Pit Lane | 2025 Chinese Grand Prix', '2025-03-21T08:00:00.000Z'),
+    video('cn-radio', 'Team Radio | 2025 Chinese Grand Prix', '2025-03-20T08:00:00.000Z')
+];
+const mixedOrder = ['cn-fp1', 'cn-sq', 'cn-sprint', 'cn-race', 'cn-radio', 'cn-crash', 'cn-quali'];
+assert.deepEqual(mixedVideos.slice().sort(compareBySessionStart(mixed)).map((v) => v.videoId), mixedOrder,
+    'Listed sessions in entry order, then the rest oldest first');
+assert.deepEqual(mixedVideos.slice().reverse().sort(compareBySessionStart(mixed)).map((v) => v.videoId), mixedOrder);
+
+const windows = buildWeekendWindows([baku2023], 2023);
+assert.equal(findWindowForWeekend(windows, '2023 Azerbaijan Grand Prix', 2023)?.round, 1);
+assert.equal(findWindowForWeekend(windows, '2023 Baku City Grand Prix', 2023, { 'Azerbaijan Grand Prix': ['Baku City'] })?.round, 1);
+assert.equal(findWindowForWeekend(windows, '2023 Miami Grand Prix', 2023), null);
+
+const [annotated] = annotateWeekends([{ name: '2023 Azerbaijan Grand Prix', videos: [videos[2]], extras: [] }], windows, 2023);
+assert.deepEqual(
+    [annotated.round, annotated.calendarName, annotated.videos[0].session],
+    [1, 'Azerbaijan Grand Prix', 'sprint-qualifying']
+);
+
+console.log('calendar-windows checks passed');
@@ -0,0 +1,150 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const F1ArchiveFetcher = require('./fetch-archive');
+const F1VideoFetcher = require('./fetch-videos');
+
+// A frozen 2025 channel: every archived recap, newest first, served 50 per page.
+const archive = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'public', 'data', 'videos-2025.json'), 'utf8'));
+const uploads = archive.grandPrixWeekends
+    .flatMap((gp) => gp.videos)
+    .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+
+let networkRequests = 0;
+const server = http.createServer((req, res) => {
+    networkRequests += 1;
+    const url = new URL(req.url, 'http://localhost');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+
+    if (url.pathname === '/channels') {
+        res.end(JSON.stringify({ items: [{ contentDetails: { relatedPlaylists: { uploads: 'UU-F1' } } }] }));
+        return;
+    }
+
+    if (url.pathname === '/videos') {
+        res.end(JSON.stringify({ items: [] }));
+        return;
+    }
+
+    const start = Number(url.searchParams.get('pageToken') || 0);
+    const items = uploads.slice(start, start + 50).map((video) => ({
+        snippet: { title: video.title, description: video.description || '', resourceId: { videoId: video.videoId } },
+        contentDetails: { videoId: video.videoId, videoPublishedAt: video.publishedAt }
+    }));
+    res.end(JSON.stringify({ items, nextPageToken: start + 50 < uploads.length ? String(start + 50) : undefined }));
+});
+
+async function runWithEnv(env, run) {
+    const saved = { ...process.env };
+    const { log, warn } = console;
+    Object.assign(process.env, env);
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await run();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+        for (const name of Object.keys(env)) {
+            if (name in saved) process.env[name] = saved[name];
+            else delete process.env[name];
+        }
+    }
+}
+
+function runArchive(env, dataDir) {
+    return runWithEnv(env, () => {
+        const fetcher = new F1ArchiveFetcher({ year: 2025 });
+        fetcher.dataDir = dataDir;
+        return fetcher.fetchArchive();
+    });
+}
+
+// The committed cassette (scripts/fixtures/youtube-cassette): the 2025 Chinese Grand Prix uploads.
+async function checkCommittedCassette() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-cassette-'));
+    const dataDir = path.join(workDir, 'public', 'data');
+    const cwd = process.cwd();
+    const env = { YOUTUBE_API_KEY: '', YT_BASE_URL: 'http://127.0.0.1:9', YT_CASSETTE: 'replay', TARGET_YEAR: '2025' };
+    const sessionsOf = (data) => data.grandPrixWeekends
+        .find((gp) => gp.name === '2025 Chinese Grand Prix')
+        .videos.map((video) => video.title.split('|')[0].trim());
+    const expected = [
+        'FP1 Highlights',
+        'Sprint Qualifying Highlights',
+        'F1 Sprint Highlights',
+        'Qualifying Highlights',
+        'Race Highlights'
+    ];
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.copyFileSync(path.join(__dirname, '..', 'public', 'data', 'calendar2025.json'), path.join(dataDir, 'calendar2025.json'));
+
+    process.chdir(workDir);
+    try {
+        const current = await runWithEnv(env, () => new F1VideoFetcher().fetchVideos());
+        assert.deepEqual(current.grandPrixWeekends.map((gp) => gp.name), ['2025 Chinese Grand Prix']);
+        assert.deepEqual(sessionsOf(current), expected, 'Grouped into the weekend in session order');
+        assert.equal(current.grandPrixWeekends[0].videos[0].durationSeconds, 450, 'Details come from the recorded videos.list');
+
+        fs.rmSync(path.join(dataDir, 'videos-2025.json'));
+        const archived = await runWithEnv(env, () => new F1ArchiveFetcher({ year: 2025 }).fetchArchive());
+        assert.equal(archived.totalVideos, 5);
+        assert.deepEqual(sessionsOf(archived), expected);
+    } finally {
+        process.chdir(cwd);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    await checkCommittedCassette();
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-cassette-'));
+    const dataDir = path.join(workDir, 'data');
+    const cassetteDir = path.join(workDir, 'cassette');
+    fs.mkdirSync(dataDir);
+    fs.copyFileSync(path.join(__dirname, '..', 'public', 'data', 'calendar2025.json'), path.join(dataDir, 'calendar2025.json'));
+
+    try {
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        const recorded = await runArchive({
+            YOUTUBE_API_KEY: 'test',
+            YT_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+            YT_CASSETTE: 'record',
+            YT_CASSETTE_DIR: cassetteDir
+        }, dataDir);
+        await new Promise((resolve) => server.close(resolve));
+        const recordedRequests = networkRequests;
+
+        assert.ok(fs.readdirSync(cassetteDir).length >= 2, 'Recording writes one file per request');
+
+        // Replay with no key and nothing listening: everything comes from the cassette.
+        const replayed = await runArchive({
+            YOUTUBE_API_KEY: '',
+            YT_BASE_URL: 'http://127.0.0.1:9',
+            YT_CASSETTE: 'replay',
+            YT_CASSETTE_DIR: cassetteDir
+        }, dataDir);
+
+        assert.equal(networkRequests, recordedRequests);
+        const strip = ({ lastUpdated, ...rest }) => rest;
+        assert.deepEqual(strip(replayed), strip(recorded));
+        assert.equal(replayed.totalVideos, uploads.length);
+        assert.deepEqual(
+            replayed.grandPrixWeekends.map((gp) => gp.name).sort(),
+            archive.grandPrixWeekends.map((gp) => gp.name).sort()
+        );
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    console.log('cassette replay checks passed');
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
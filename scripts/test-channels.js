@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadChannels, selectPrimaryVideos } = require('./channels');
+
+const shipped = loadChannels({ year: 2025 });
+assert.equal(shipped[0].id, 'UCB_qr75-ydFVKSF9Dmo6izg', 'The official channel ships as the top priority');
+assert.equal(shipped[0].rules.evaluate({ title: 'Race Highlights | 2025 Bahrain Grand Prix' }).included, true);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'channels-'));
+try {
+    fs.writeFileSync(path.join(dir, 'regional.json'), JSON.stringify({
+        version: 1,
+        sessionTypes: ['race'],
+        rules: [{ id: 'include-resumen', action: 'include', field: 'title', keywords: ['resumen'] }],
+        requirements: []
+    }));
+    // Relative rules paths resolve against the channels file.
+    const configPath = path.join(dir, 'channels.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        version: 1,
+        channels: [
+            { id: 'UC-regional', name: 'Regional', priority: 50, rules: 'regional.json' },
+            {
+                id: 'UC-official',
+                name: 'Official',
+                priority: 100,
+                rules: path.relative(dir, path.join(__dirname, '..', 'config', 'classification.json'))
+            },
+            { id: 'UC-off', name: 'Disabled', priority: 200, enabled: false }
+        ]
+    }));
+
+    const channels = loadChannels({ year: 2025, configPath });
+    assert.deepEqual(channels.map((channel) => channel.id), ['UC-official', 'UC-regional']);
+    assert.equal(channels[1].rules.evaluate({ title: 'Carrera resumen - race' }).ruleId, 'include-resumen');
+
+    const video = (videoId, title, channelId, publishedAt = '2025-04-13T18:00:00Z') => ({ videoId, title, channelId, publishedAt });
+    const selected = selectPrimaryVideos([
+        video('regionalRace', 'Race Highlights | Bahrain', 'UC-regional', '2025-04-13T17:00:00Z'),
+        video('officialRace', 'Race Highlights | 2025 Bahrain Grand Prix', 'UC-official'),
+        video('regionalQuali', 'Qualifying Highlights | Bahrain', 'UC-regional'),
+        video('legacyFp1', 'FP1 Highlights | 2025 Bahrain Grand Prix'),
+        video('regionalFp1', 'FP1 Highlights | Bahrain', 'UC-regional')
+    ], channels);
+
+    assert.deepEqual(selected.map((v) => v.videoId), ['officialRace', 'regionalQuali', 'legacyFp1']);
+    assert.deepEqual(selected[0].alternates.map((v) => v.videoId), ['regionalRace']);
+    assert.equal(selected[1].alternates, undefined, 'A session only one channel covers has no alternates');
+    assert.deepEqual(selected[2].alternates.map((v) => v.videoId), ['regionalFp1'], 'Videos without a channel count as the top channel');
+    assert.deepEqual(selectPrimaryVideos(selected, channels), selected, 'Selection is stable when re-run on stored videos');
+
+    assert.throws(
+        () => loadChannels({ configPath: path.join(dir, 'missing.json') }),
+        /Failed to load channels config/
+    );
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('channels checks passed');
@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+
+const { ClassificationRules } = require('./classification-rules');
+
+const snippet = (title, description = '') => ({ title, description });
+
+const shipped = ClassificationRules.load({ year: 2025 });
+assert.deepEqual(
+    shipped.evaluate(snippet('Race Highlights | 2025 Bahrain Grand Prix')),
+    {
+        included: true,
+        ruleId: 'include-highlights',
+        reason: 'matched include rule (any)',
+        sessionType: 'race'
+    }
+);
+assert.equal(
+    shipped.evaluate(snippet('F2 Sprint Highlights | 2025 Bahrain Grand Prix')).ruleId,
+    'exclude-other-series',
+    'Other series are excluded on the title'
+);
+assert.equal(
+    shipped.evaluate(snippet('Race Highlights | 2025 Bahrain Grand Prix', 'Watch the F2 feature race next')).included,
+    true,
+    'Exclude rules scoped to the title ignore the description'
+);
+assert.equal(shipped.evaluate(snippet('Race Highlights')).ruleId, 'require-f1-context');
+assert.equal(shipped.evaluate(snippet('Paddock Walk | 2025 Bahrain Grand Prix')).ruleId, 'session-type');
+assert.equal(shipped.evaluate(snippet('Qualifying | 2025 Bahrain Grand Prix')).ruleId, 'no-include-rule');
+assert.deepEqual(
+    shipped.evaluate(snippet('Best Team Radio | 2025 Bahrain Grand Prix')),
+    {
+        included: false,
+        ruleId: 'extra-team-radio',
+        reason: 'matched extra rule (title)',
+        sessionType: 'other',
+        extra: 'team-radio'
+    }
+);
+assert.equal(shipped.evaluate(snippet('Post-Race Show | 2025 Bahrain Grand Prix')).extra, 'post-race-show');
+assert.equal(shipped.evaluate(snippet('F2 Onboard | 2025 Bahrain Grand Prix')).ruleId, 'exclude-other-series');
+assert.equal(shipped.evaluate(snippet('Top 10 Onboards')).ruleId, 'require-f1-context', 'Extras still need F1 context');
+
+const config = {
+    version: 1,
+    sessionTypes: ['qualifying', 'race'],
+    rules: [
+        { id: 'exclude-onboard', action: 'exclude', field: 'title', priority: 50, keywords: ['onboard'] },
+        { id: 'include-pattern', action: 'include', field: 'title', priority: 10, patterns: ['\\bhighlights?\\b'] },
+        { id: 'include-description', action: 'include', field: 'description', priority: 5, keywords: ['recap'] }
+    ],
+    requirements: [{ id: 'require-gp', field: 'any', keywords: ['grand prix'] }],
+    seasons: {
+        2026: {
+            rules: [
+                { id: 'include-onboard-laps', action: 'include', field: 'title', priority: 80, keywords: ['pole lap onboard'] }
+            ],
+            disableRules: ['include-description']
+        }
+    }
+};
+
+const base = new ClassificationRules(config, { year: 2025 });
+assert.equal(base.evaluate(snippet('Pole Lap Onboard | Qualifying | Bahrain Grand Prix')).ruleId, 'exclude-onboard');
+assert.equal(base.evaluate(snippet('Qualifying | Bahrain Grand Prix', 'A quick recap')).ruleId, 'include-description');
+assert.equal(base.evaluate(snippet('Race Highlight | Bahrain Grand Prix')).ruleId, 'include-pattern');
+
+const season = new ClassificationRules(config, { year: 2026 });
+assert.equal(
+    season.evaluate(snippet('Pole Lap Onboard | Qualifying | Bahrain Grand Prix')).ruleId,
+    'include-onboard-laps',
+    'A higher-priority season rule overrides a base exclude'
+);
+assert.equal(season.evaluate(snippet('Qualifying | Bahrain Grand Prix', 'A quick recap')).ruleId, 'no-include-rule');
+
+assert.throws(() => new ClassificationRules({ ...config, version: 2 }), /Unsupported classification rules version/);
+assert.throws(
+    () => new ClassificationRules({ ...config, rules: [{ id: 'bad', action: 'include', patterns: ['('] }] }),
+    /invalid pattern/
+);
+assert.throws(
+    () => new ClassificationRules({ ...config, rules: [{ id: 'bad', action: 'extra', keywords: ['onboard'] }] }),
+    /need a kebab-case category/
+);
+
+console.log('classification-rules checks passed');
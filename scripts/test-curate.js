@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { explain, parseArgs, regenerateOutputs, setExclude, setPin } = require('./curate');
+const { loadChannels } = require('./channels');
+const { parseOverrides } = require('./overrides');
+
+assert.deepEqual(
+    parseArgs(['add', 'abc123', '--weekend', 'Dutch Grand Prix', '--session=fp2', '--dry-run']),
+    { command: 'add', videoId: 'abc123', options: { weekend: 'Dutch Grand Prix', session: 'fp2', 'dry-run': true } }
+);
+assert.deepEqual(parseArgs(['list-missing', '--year=2026']), { command: 'list-missing', videoId: null, options: { year: '2026' } });
+
+// Pinning and excluding the same video replace each other instead of clashing
+const config = { version: 1, pins: [{ videoId: 'keep', weekend: 'Italian Grand Prix' }], exclude: ['abc123'] };
+setPin(config, { videoId: 'abc123', weekend: 'Dutch Grand Prix', session: 'fp2' });
+assert.deepEqual(config.pins.map((pin) => pin.videoId), ['keep', 'abc123']);
+assert.deepEqual(config.exclude, []);
+setExclude(config, { videoId: 'abc123', reason: 'Wrong upload' });
+assert.deepEqual(config.pins.map((pin) => pin.videoId), ['keep']);
+assert.deepEqual(config.exclude, [{ videoId: 'abc123', reason: 'Wrong upload' }]);
+
+const video = (videoId, title, publishedAt) => ({ videoId, title, publishedAt });
+const dutch = {
+    name: '2026 Dutch Grand Prix',
+    videos: [
+        video('nl-race', 'Race Highlights | 2026 Dutch Grand Prix', '2026-08-23T16:00:00.000Z'),
+        video('nl-fp1', 'FP1 Highlights | 2026 Dutch Grand Prix', '2026-08-21T12:00:00.000Z'),
+        video('nl-fp2', 'FP2 Highlights | 2026 Dutch Grand Prix', '2026-08-21T16:00:00.000Z')
+    ],
+    extras: [],
+    latestDate: '2026-08-23T16:00:00.000Z'
+};
+const data = (...grandPrixWeekends) => ({
+    schemaVersion: '1.0',
+    lastUpdated: '2026-08-24T00:00:00.000Z',
+    totalVideos: grandPrixWeekends.reduce((sum, gp) => sum + gp.videos.length, 0),
+    grandPrixWeekends
+});
+
+(async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'curate-'));
+    const archivePath = path.join(dataDir, 'videos-2026.json');
+    const feedPath = path.join(dataDir, 'videos.json');
+    fs.writeFileSync(archivePath, JSON.stringify({ ...data(dutch), year: 2026 }));
+    fs.writeFileSync(feedPath, JSON.stringify(data(dutch)));
+    fs.writeFileSync(path.join(dataDir, 'calendar2026.json'), JSON.stringify({
+        schemaVersion: '1.0',
+        year: 2026,
+        weekends: [
+            { name: 'Belgian Grand Prix', startDate: '2026-07-17T11:30:00.000Z', sessions: [] },
+            { name: 'Dutch Grand Prix', startDate: '2026-08-21T10:30:00.000Z', sessions: [] }
+        ]
+    }));
+
+    const overrides = parseOverrides({
+        version: 1,
+        exclude: [{ videoId: 'nl-fp2', reason: 'Wrong upload' }],
+        sessionTypes: { 'nl-race': 'sprint' }
+    }, { year: 2026, configPath: 'overrides-2026.json' });
+    const options = { year: 2026, dataDir, yt: null, channels: loadChannels({ year: 2026 }), overrides };
+
+    const dryRun = await regenerateOutputs({ ...options, dryRun: true });
+    assert.equal(dryRun.writes.length, 2, 'videos.json only shows 2026, so it is regenerated too');
+    assert.equal(fs.existsSync(`${archivePath}.bak`), false, 'A dry run writes nothing');
+
+    await regenerateOutputs(options);
+    for (const filePath of [archivePath, feedPath]) {
+        const written = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const ids = written.grandPrixWeekends[0].videos.map((v) => v.videoId);
+        assert.deepEqual(ids, ['nl-fp1', 'nl-race'], `${path.basename(filePath)} drops the exclusion and re-sorts by session`);
+        assert.equal(written.totalVideos, 2);
+        const [gp] = written.grandPrixWeekends;
+        assert.deepEqual([gp.round, gp.calendarName, gp.weekendStart], [2, 'Dutch Grand Prix', '2026-08-21T10:30:00.000Z']);
+        assert.deepEqual(gp.videos.map((v) => [v.session, v.round]), [['fp1', 2], ['sprint', 2]], 'Videos carry the calendar keys');
+        assert.equal(fs.existsSync(`${filePath}.bak`), true, 'The previous file is kept as a backup');
+    }
+    assert.equal(JSON.parse(fs.readFileSync(archivePath, 'utf8')).year, 2026);
+
+    // A feed that still shows last season's weekends is left alone
+    fs.writeFileSync(feedPath, JSON.stringify(data({ ...dutch, name: '2025 Dutch Grand Prix' })));
+    const { writes } = await regenerateOutputs({ ...options, dryRun: true });
+    assert.deepEqual(writes.map((w) => path.basename(w.filePath)), ['videos-2026.json']);
+
+    // explain picks between overlapping windows with the season aliases, as the fetchers do
+    fs.writeFileSync(path.join(dataDir, 'calendar2026.json'), JSON.stringify({
+        schemaVersion: '1.2',
+        year: 2026,
+        weekends: [
+            { name: 'Belgian Grand Prix', startDate: '2026-08-18T11:30:00.000Z', sessions: [] },
+            { name: 'Dutch Grand Prix', startDate: '2026-08-21T10:30:00.000Z', sessions: [] }
+        ]
+    }));
+    fs.writeFileSync(path.join(dataDir, 'grand-prix-aliases.json'), JSON.stringify({
+        schemaVersion: '1.2',
+        seasons: { 2026: { 'Dutch Grand Prix': ['Zandvoort'] } }
+    }));
+    const yt = {
+        async listVideosByIds(ids) {
+            return ids.map((id) => ({
+                id,
+                snippet: { title: 'FP1 Highlights | Zandvoort', channelId: 'UC_unknown', publishedAt: '2026-08-21T09:00:00.000Z' }
+            }));
+        }
+    };
+    const log = console.log;
+    console.log = () => {};
+    const lines = await explain({
+        year: 2026,
+        videoId: 'nl-zandvoort',
+        context: { dataDir, yt, configPath: path.join(dataDir, 'overrides-2026.json') }
+    }).finally(() => { console.log = log; });
+    assert.ok(lines.includes('  publish window: 2026 Dutch Grand Prix'), lines.join('\n'));
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log('curate checks passed');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
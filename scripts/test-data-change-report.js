@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+
+const { buildChangeReport, renderMarkdown } = require('./data-change-report');
+
+const video = (videoId, title, extra = {}) => ({ videoId, title, publishedAt: '2026-08-29T12:00:00.000Z', ...extra });
+const dutch = '2026 Dutch Grand Prix';
+
+const before = {
+    'videos-2026.json': {
+        grandPrixWeekends: [{
+            name: dutch,
+            videos: [
+                video('fp1', 'FP1 Highlights | 2026 Dutch Grand Prix'),
+                video('quali', 'Qualifying Highlights | 2026 Dutch Grand Prix'),
+                video('gone', 'FP2 Highlights | 2026 Dutch Grand Prix')
+            ],
+            extras: [video('onboard', 'Onboard | 2026 Dutch Grand Prix', { category: 'onboard' })]
+        }]
+    },
+    'standings2026.json': {
+        round: '14',
+        drivers: [
+            { driverName: 'Andrea Kimi Antonelli', position: 1, points: 224 },
+            { driverName: 'George Russell', position: 2, points: 210 }
+        ],
+        constructors: [{ constructorName: 'Mercedes', position: 1, points: 434 }]
+    },
+    'calendar2026.json': {
+        schemaVersion: '1.0',
+        year: 2026,
+        weekends: [{
+            name: 'Dutch Grand Prix',
+            startDate: '2026-08-28T10:30:00.000Z',
+            sessions: [{ title: 'Grand Prix', publishedAt: '2026-08-30T13:00:00.000Z' }]
+        }]
+    }
+};
+
+const after = {
+    'videos-2026.json': {
+        grandPrixWeekends: [{
+            name: dutch,
+            videos: [
+                video('fp1', 'FP1 Highlights | 2026 Dutch Grand Prix', { unavailable: true, unavailableReason: 'private' }),
+                video('quali', 'Sprint Qualifying Highlights | 2026 Dutch Grand Prix'),
+                video('race', 'Race Highlights | 2026 Dutch Grand Prix')
+            ],
+            extras: [video('onboard', 'Onboard | 2026 Dutch Grand Prix', { category: 'onboard' })]
+        }]
+    },
+    'standings2026.json': {
+        round: '15',
+        drivers: [
+            { driverName: 'George Russell', position: 1, points: 235 },
+            { driverName: 'Andrea Kimi Antonelli', position: 2, points: 230 }
+        ],
+        constructors: [{ constructorName: 'Mercedes', position: 1, points: 465 }]
+    },
+    'calendar2026.json': {
+        schemaVersion: '1.0',
+        year: 2026,
+        weekends: [{
+            name: 'Dutch Grand Prix',
+            startDate: '2026-08-28T10:30:00.000Z',
+            sessions: [{ title: 'Grand Prix', publishedAt: '2026-08-30T14:00:00.000Z' }]
+        }]
+    }
+};
+
+const report = buildChangeReport(before, after, { generatedAt: '2026-08-31T00:00:00.000Z' });
+const videos = report.videos['2026'];
+
+assert.deepEqual(videos.added.map((v) => [v.videoId, v.session]), [['race', 'Race']]);
+assert.deepEqual(videos.reclassified.map((v) => [v.videoId, v.from.session, v.to.session]), [['quali', 'Qualifying', 'Sprint Quali']]);
+assert.deepEqual(
+    videos.removed.map((v) => [v.videoId, v.reason]),
+    [['fp1', 'private'], ['gone', 'dropped from data']],
+    'Newly unavailable videos count as removed'
+);
+
+const standings = report.standings['2026'];
+assert.deepEqual(standings.drivers.map((m) => [m.name, m.from, m.to]), [['George Russell', 2, 1], ['Andrea Kimi Antonelli', 1, 2]]);
+assert.deepEqual(standings.constructors.map((m) => [m.pointsBefore, m.pointsAfter]), [[434, 465]]);
+
+assert.deepEqual(report.calendar['2026'], [{
+    weekend: 'Dutch Grand Prix',
+    session: 'Grand Prix',
+    change: 'moved',
+    from: '2026-08-30T13:00:00.000Z',
+    to: '2026-08-30T14:00:00.000Z'
+}]);
+
+assert.equal(report.headline, `1 new video (${dutch}), 1 reclassified, 2 removed, 2026 standings after round 15, 1 calendar change`);
+
+const markdown = renderMarkdown(report);
+assert.ok(markdown.includes(`#### ${dutch}`));
+assert.ok(markdown.includes('- 🆕 Race: [Race Highlights | 2026 Dutch Grand Prix](https://www.youtube.com/watch?v=race)'));
+assert.ok(markdown.includes('| George Russell | P2 → P1 | 210 → 235 pts |'));
+
+const unchanged = buildChangeReport(before, before);
+assert.equal(unchanged.headline, 'No data changes');
+assert.deepEqual([unchanged.videos, unchanged.standings, unchanged.calendar], [{}, {}, {}]);
+
+console.log('data-change-report checks passed');
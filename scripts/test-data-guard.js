@@ -0,0 +1,105 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { assertNoShrink, compareVideoData, writeJsonAtomic } = require('./data-guard');
+const { parseOverrides } = require('./overrides');
+const { SCHEMA_VERSION } = require('./data-schemas');
+const F1VideoFetcher = require('./fetch-videos');
+
+process.env.TARGET_YEAR = '2026';
+
+const video = (videoId, title) => ({ videoId, title, publishedAt: '2026-03-08T08:00:00.000Z' });
+const weekend = (name, videos) => ({ name, videos, extras: [] });
+const feed = (...grandPrixWeekends) => ({ grandPrixWeekends });
+
+const australia = weekend('2026 Australian Grand Prix', [
+    video('aus-fp1', 'FP1 Highlights | 2026 Australian Grand Prix'),
+    video('aus-quali', 'Qualifying Highlights | 2026 Australian Grand Prix'),
+    video('aus-race', 'Race Highlights | 2026 Australian Grand Prix')
+]);
+const china = weekend('2026 Chinese Grand Prix', [
+    video('chn-fp1', 'FP1 Highlights | 2026 Chinese Grand Prix'),
+    video('chn-sprint', 'Sprint Highlights | 2026 Chinese Grand Prix')
+]);
+const japan = weekend('2026 Japanese Grand Prix', [video('jpn-fp1', 'FP1 Highlights | 2026 Japanese Grand Prix')]);
+
+assert.deepEqual(compareVideoData(feed(australia, china), feed(australia, china, japan)), [], 'Growth is fine');
+
+assert.deepEqual(
+    compareVideoData(feed(australia, china), feed(australia)).map((p) => p.kind),
+    ['weekend-removed', 'video-count-drop']
+);
+
+// A re-upload under a new id keeps the session covered
+const reuploaded = weekend(australia.name, [australia.videos[0], australia.videos[1], video('aus-race-v2', 'Race Highlights | 2026 Australian Grand Prix')]);
+assert.deepEqual(compareVideoData(feed(australia), feed(reuploaded)), []);
+
+const noRace = weekend(australia.name, australia.videos.slice(0, 2));
+assert.deepEqual(
+    compareVideoData(feed(australia, china, japan), feed(noRace, china, japan), { maxDropRatio: 0.5 }),
+    [{ kind: 'session-lost', weekend: australia.name, session: 'race' }],
+    'Losing a session is caught even under the count threshold'
+);
+
+// videos.json rolls forward: the oldest weekend may fall off, but the window may not shrink
+assert.deepEqual(compareVideoData(feed(australia, china), feed(china, japan), { rolling: true }), []);
+assert.deepEqual(
+    compareVideoData(feed(australia, china), feed(china), { rolling: true }).map((p) => p.kind),
+    ['weekend-removed']
+);
+
+(async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-guard-'));
+    const filePath = path.join(dataDir, 'videos-2026.json');
+
+    await writeJsonAtomic(filePath, feed(australia, china));
+    assert.equal(fs.existsSync(`${filePath}.bak`), false, 'Nothing to back up on the first write');
+
+    await assert.rejects(
+        () => assertNoShrink([{ filePath, data: feed(china) }], { allowShrink: false }),
+        (err) => err.code === 'DESTRUCTIVE_WRITE' && err.message.includes('2026 Australian Grand Prix')
+    );
+    const forced = await assertNoShrink([{ filePath, data: feed(china) }], { allowShrink: true });
+    assert.equal(forced.length, 1, 'ALLOW_SHRINK still reports what it let through');
+
+    // An exclusion that takes a session's only video must not stop the next fetch from saving
+    const excludeRace = parseOverrides({ version: 1, exclude: [{ videoId: 'aus-race', reason: 'wrong race' }] }, { year: 2026 });
+    const countOf = (weekends) => weekends.reduce((sum, gp) => sum + gp.videos.length, 0);
+    const stored = (...weekends) => ({
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: '2026-03-09T00:00:00.000Z',
+        totalVideos: countOf(weekends),
+        grandPrixWeekends: weekends.map((gp) => ({ ...gp, latestDate: '2026-03-08T08:00:00.000Z' }))
+    });
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-guard-fetch-'));
+    const cwd = process.cwd();
+    fs.mkdirSync(path.join(workDir, 'public', 'data'), { recursive: true });
+    ['videos.json', 'videos-2026.json'].forEach((file) => {
+        fs.writeFileSync(path.join(workDir, 'public', 'data', file), JSON.stringify(stored(australia, china)));
+    });
+    process.chdir(workDir);
+    try {
+        const fetcher = new F1VideoFetcher();
+        await assert.rejects(() => fetcher.saveVideoData(stored(noRace, china), stored(noRace, china)), /race video/);
+        fetcher.overrides = excludeRace;
+        await fetcher.saveVideoData(stored(noRace, china), stored(noRace, china));
+        const saved = JSON.parse(fs.readFileSync(path.join(workDir, 'public', 'data', 'videos-2026.json'), 'utf8'));
+        assert.equal(countOf(saved.grandPrixWeekends), 4);
+    } finally {
+        process.chdir(cwd);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    await writeJsonAtomic(filePath, feed(australia, china, japan));
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf8')), feed(australia, china));
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).grandPrixWeekends.length, 3);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log('data-guard checks passed');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
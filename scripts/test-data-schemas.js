@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { artifactTypeForFile, assertValidArtifact, SCHEMA_VERSION, validateArtifact } = require('./data-schemas');
+const { validateDataDir } = require('./validate-data');
+const { assertSupportedSchema, readCalendarEntries } = require('../public/assets/js/calendar-state.js');
+
+assert.equal(artifactTypeForFile('videos.json'), 'videos');
+assert.equal(artifactTypeForFile('public/data/videos-2025.json'), 'videos-archive');
+assert.equal(artifactTypeForFile('calendar2026.json'), 'calendar');
+assert.equal(artifactTypeForFile('standings2026.json'), 'standings');
+assert.equal(artifactTypeForFile('f1-calendar_2026.ics'), null, 'Files we do not write are skipped');
+
+for (const result of validateDataDir(path.join(__dirname, '..', 'public', 'data'))) {
+    assert.deepEqual(result.errors, [], `${result.file} should match the ${result.type} schema`);
+}
+
+// No script writes the calendars, so they are restamped by hand whenever SCHEMA_VERSION moves
+for (const year of [2025, 2026]) {
+    const calendar = require(`../public/data/calendar${year}.json`);
+    assert.equal(calendar.schemaVersion, SCHEMA_VERSION, `calendar${year}.json should carry schema ${SCHEMA_VERSION}`);
+}
+
+const video = { videoId: 'abc123', title: 'FP1 Highlights', publishedAt: '2026-03-06T05:00:00Z' };
+const feed = {
+    schemaVersion: SCHEMA_VERSION,
+    lastUpdated: '2026-03-09T00:00:00.000Z',
+    totalVideos: 1,
+    grandPrixWeekends: [{ name: '2026 Australian Grand Prix', videos: [video], extras: [] }]
+};
+assert.equal(validateArtifact('videos', feed).valid, true);
+
+const unversioned = { ...feed };
+delete unversioned.schemaVersion;
+assert.equal(validateArtifact('videos', unversioned).valid, false, 'schemaVersion is required on write');
+
+const badExtra = { ...feed, grandPrixWeekends: [{ name: 'X', videos: [], extras: [video] }] };
+assert.throws(
+    () => assertValidArtifact('videos', badExtra, 'videos.json'),
+    (err) => err.code === 'SCHEMA_VALIDATION_FAILED' && /extras\/0 .*category/.test(err.message),
+    'Extras without a category are rejected with the failing path'
+);
+
+assert.equal(validateArtifact('videos-archive', { ...feed, year: '2026' }).valid, true);
+assert.equal(validateArtifact('videos-archive', { ...feed, year: 'next' }).valid, false);
+
+const standings = {
+    schemaVersion: SCHEMA_VERSION,
+    season: '2026',
+    round: null,
+    updatedAt: '2026-03-01T00:00:00.000Z',
+    seasonStarted: false,
+    source: 'jolpica',
+    drivers: [],
+    constructors: []
+};
+assert.equal(validateArtifact('standings', standings).valid, true);
+assert.equal(validateArtifact('standings', { ...standings, drivers: [{ position: 1 }] }).valid, false);
+
+// Browser-side version gate
+const weekend = { name: 'Australian Grand Prix', startDate: '2026-03-06T01:30:00.000Z', sessions: ['FP1'] };
+assert.deepEqual(readCalendarEntries([weekend]), [weekend], 'Legacy bare-array calendars still load');
+assert.deepEqual(readCalendarEntries({ schemaVersion: '1.3', year: 2026, weekends: [weekend] }), [weekend]);
+assert.throws(
+    () => readCalendarEntries({ schemaVersion: '2.0', year: 2026, weekends: [weekend] }, 'calendar2026.json'),
+    (err) => err.code === 'UNSUPPORTED_SCHEMA_VERSION' && err.message.includes('calendar2026.json')
+);
+assert.doesNotThrow(() => assertSupportedSchema({ grandPrixWeekends: [] }), 'Unversioned files read as 1.x');
+
+console.log('data-schemas checks passed');
@@ -0,0 +1,150 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const F1VideoFetcher = require('./fetch-videos');
+const { YouTubeClient } = require('./youtube-client');
+const { createMockServer, loadSeed } = require('./mock-youtube-server');
+
+const seed = loadSeed(2025);
+const listen = (server) => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+async function runFetch(env) {
+    const saved = { ...process.env };
+    const { log, warn, error } = console;
+    Object.assign(process.env, env);
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    try {
+        return await new F1VideoFetcher().fetchVideos();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+        console.error = error;
+        process.env = saved;
+    }
+}
+
+async function checkScenarios() {
+    const uploadsOf = async (client) => (await client.listPlaylistItems({ playlistId: 'UU1', maxResults: 5 })).items;
+
+    const upload = createMockServer({ seed, scenario: 'new-upload' });
+    const client = new YouTubeClient({ apiKey: 'mock', baseUrl: await listen(upload) });
+    assert.equal((await uploadsOf(client))[0].contentDetails.videoId, seed[0].videoId);
+    assert.equal((await uploadsOf(client))[0].contentDetails.videoId, 'mockUpload01', 'The second scan sees a new upload');
+    await close(upload);
+
+    const hidden = createMockServer({ seed, scenario: 'video-private' });
+    const hiddenClient = new YouTubeClient({ apiKey: 'mock', baseUrl: await listen(hidden) });
+    await uploadsOf(hiddenClient);
+    const [item] = await uploadsOf(hiddenClient);
+    assert.equal(item.snippet.title, 'Private video');
+    assert.equal(item.contentDetails.videoPublishedAt, undefined);
+    assert.deepEqual(await hiddenClient.listVideosByIds([seed[0].videoId]), []);
+    await close(hidden);
+
+    const quota = createMockServer({ seed, scenario: 'quota-exceeded' });
+    const quotaClient = new YouTubeClient({ apiKey: 'mock', baseUrl: await listen(quota) });
+    await assert.rejects(quotaClient.getUploadsPlaylistId('UC1'), /quota exhausted \(quotaExceeded\)/);
+    await close(quota);
+
+    const burst = createMockServer({ seed, scenario: '500-burst' });
+    const burstClient = new YouTubeClient({ apiKey: 'mock', baseUrl: await listen(burst), retryBaseDelayMs: 1 });
+    assert.equal(await burstClient.getUploadsPlaylistId('UC1'), 'UU1');
+    assert.equal(burst.mock.requests.length, 4, 'Three 500s are retried before the call succeeds');
+    await close(burst);
+
+    assert.throws(() => createMockServer({ scenario: 'meteor-strike' }), /Unknown mock scenario/);
+}
+
+async function checkPipeline() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-mock-'));
+    const cwd = process.cwd();
+    fs.mkdirSync(path.join(workDir, 'public', 'data'), { recursive: true });
+    fs.copyFileSync(
+        path.join(__dirname, '..', 'public', 'data', 'calendar2025.json'),
+        path.join(workDir, 'public', 'data', 'calendar2025.json')
+    );
+
+    const server = createMockServer({ seed });
+    const env = { YOUTUBE_API_KEY: 'mock', YT_BASE_URL: await listen(server), TARGET_YEAR: '2025' };
+    const readArchive = () => JSON.parse(fs.readFileSync(path.join(workDir, 'public', 'data', 'videos-2025.json'), 'utf8'));
+    const readState = () => fs.readFileSync(path.join(workDir, 'state', 'fetch-state.json'), 'utf8');
+
+    process.chdir(workDir);
+    try {
+        // Bootstrap: no watermark, a full MAX_RESULTS scan of the seeded season.
+        await runFetch(env);
+        assert.equal(readArchive().totalVideos, seed.length);
+        const [firstVideo] = readArchive().grandPrixWeekends[0].videos;
+        assert.deepEqual(
+            [firstVideo.durationSeconds, firstVideo.viewCount, firstVideo.definition],
+            [450, 250000, 'hd'],
+            'New videos are enriched through videos.list'
+        );
+        const bootstrapState = readState();
+
+        // Nothing new: one channels lookup and one page, no data written.
+        let before = server.mock.requests.length;
+        assert.equal(await runFetch(env), null);
+        assert.equal(server.mock.requests.length - before, 2);
+
+        // A new upload lands in the latest weekend and moves the watermark.
+        const newest = seed[0];
+        server.mock.addUpload({
+            videoId: 'mockUpload01',
+            title: `Race Highlights | ${newest.title.split('|').pop().trim()}`,
+            publishedAt: new Date(Date.parse(newest.publishedAt) + 60 * 1000).toISOString()
+        });
+        const current = await runFetch(env);
+        assert.ok(current.grandPrixWeekends[0].videos.some((video) => video.videoId === 'mockUpload01'));
+        assert.equal(readArchive().totalVideos, seed.length + 1);
+        assert.match(readState(), /mockUpload01/);
+        assert.notEqual(readState(), bootstrapState);
+
+        // A premiere dated before the watermark is still picked up, and the watermark stays put.
+        const watermarkState = readState();
+        server.mock.addUpload({
+            videoId: 'mockPremiere01',
+            title: `Qualifying Highlights | ${newest.title.split('|').pop().trim()}`,
+            publishedAt: new Date(Date.parse(newest.publishedAt) - 2 * 60 * 60 * 1000).toISOString()
+        });
+        await runFetch(env);
+        assert.equal(readArchive().totalVideos, seed.length + 2);
+        assert.equal(readState(), watermarkState);
+
+        // Quota errors fail the run and leave data and watermark untouched.
+        const archiveBefore = readArchive();
+        const stateBefore = readState();
+        server.mock.failNext(1, 403, 'quotaExceeded');
+        await assert.rejects(runFetch(env), /quota exhausted/);
+        assert.deepEqual(readArchive(), archiveBefore);
+        assert.equal(readState(), stateBefore);
+
+        // A short 500 burst is absorbed by retries.
+        before = server.mock.requests.length;
+        server.mock.failNext(1, 500);
+        assert.equal(await runFetch(env), null);
+        assert.equal(server.mock.requests.length - before, 3);
+    } finally {
+        process.chdir(cwd);
+        await close(server);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    await checkScenarios();
+    await checkPipeline();
+    console.log('mock-youtube-server checks passed');
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { selectPrimaryVideos } = require('./channels');
+const { applyOverrides, loadOverrides, unresolvedOverrideIds } = require('./overrides');
+
+const video = (videoId, title, extra = {}) => ({ videoId, title, publishedAt: '2026-08-29T12:00:00.000Z', channelId: 'UC_F1', ...extra });
+const dutch = '2026 Dutch Grand Prix';
+const italian = '2026 Italian Grand Prix';
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+const configPath = path.join(configDir, 'overrides-2026.json');
+fs.writeFileSync(configPath, JSON.stringify({
+    version: 1,
+    pins: [
+        { videoId: 'misfiled', weekend: 'Italian Grand Prix', session: 'fp2' },
+        { videoId: 'fromYoutube', weekend: 'Dutch Grand Prix', session: 'sprint' },
+        { videoId: 'nowhere', weekend: 'Dutch Grand Prix' }
+    ],
+    exclude: ['reupload', { videoId: 'deleted', reason: 'wrong race' }],
+    titles: { quali: 'Qualifying Highlights | 2026 Dutch Grand Prix', ghost: 'Nothing' },
+    sessionTypes: { vague: 'race' },
+    primary: ['tv-race']
+}));
+
+assert.equal(loadOverrides({ year: 2025, configPath: path.join(configDir, 'overrides-2025.json') }).pins.length, 0, 'No file, no overrides');
+const overrides = loadOverrides({ year: 2026, configPath });
+
+const weekends = [
+    {
+        name: dutch,
+        videos: [
+            video('fp1', 'FP1 Highlights | 2026 Dutch Grand Prix', { alternates: [video('reupload', 'FP1 Highlights (re-upload)')] }),
+            video('misfiled', 'Highlights | 2026 Dutch Grand Prix'),
+            video('quali', 'Quali Highlights | Zandvoort', { originalTitle: 'Quali Highlights | Zandvoort' }),
+            video('vague', 'Highlights from Sunday | 2026 Dutch Grand Prix'),
+            video('race', 'Race Highlights | 2026 Dutch Grand Prix', { sessionType: 'qualifying' }),
+            video('tv-race', 'Race Highlights | F1 TV', { channelId: 'UC_TV' })
+        ],
+        extras: []
+    },
+    { name: italian, videos: [], extras: [], latestDate: null }
+];
+
+assert.deepEqual(unresolvedOverrideIds(weekends, overrides), ['fromYoutube', 'nowhere'], 'Exclusions already out of the data need no lookup');
+
+const { weekends: result, stale } = applyOverrides(weekends, overrides, {
+    resolved: new Map([
+        ['fromYoutube', video('fromYoutube', 'Sprint | 2026 Dutch Grand Prix')]
+    ])
+});
+const [dutchAfter, italianAfter] = result;
+const idsOf = (list) => list.map((v) => v.videoId);
+
+assert.equal(weekends[0].videos[0].alternates.length, 1, 'Input weekends are not mutated');
+assert.deepEqual(dutchAfter.videos[0].alternates, undefined, 'Excluded alternates are dropped');
+assert.deepEqual(idsOf(italianAfter.videos), ['misfiled'], 'Pins move a video to another weekend');
+assert.equal(italianAfter.videos[0].sessionType, 'fp2');
+assert.equal(italianAfter.latestDate, '2026-08-29T12:00:00.000Z');
+assert.ok(idsOf(dutchAfter.videos).includes('fromYoutube'), 'Pins add videos looked up on YouTube');
+assert.equal(dutchAfter.videos.find((v) => v.videoId === 'quali').originalTitle, 'Quali Highlights | Zandvoort');
+assert.equal(dutchAfter.videos.find((v) => v.videoId === 'quali').title, 'Qualifying Highlights | 2026 Dutch Grand Prix');
+assert.equal(dutchAfter.videos.find((v) => v.videoId === 'vague').sessionType, 'race');
+assert.equal(dutchAfter.videos.find((v) => v.videoId === 'race').sessionType, undefined, 'Session types no longer in the file are dropped');
+
+assert.deepEqual(stale.map((entry) => `${entry.kind}:${entry.videoId}`), ['pin:nowhere', 'title:ghost']);
+
+// Removing a title override puts the YouTube title back
+const cleared = applyOverrides(result, loadOverrides({ year: 2025, configPath: path.join(configDir, 'none.json') }));
+assert.equal(cleared.weekends[0].videos.find((v) => v.videoId === 'quali').title, 'Quali Highlights | Zandvoort');
+
+// A forced primary beats channel priority for its session
+const channels = [{ id: 'UC_F1', priority: 100 }, { id: 'UC_TV', priority: 50 }];
+const raceVideos = [video('race', 'Race Highlights | 2026 Dutch Grand Prix'), video('tv-race', 'Race Highlights | F1 TV', { channelId: 'UC_TV' })];
+assert.deepEqual(idsOf(selectPrimaryVideos(raceVideos, channels)), ['race']);
+const forced = selectPrimaryVideos(raceVideos, channels, { preferred: overrides.primary });
+assert.deepEqual(idsOf(forced), ['tv-race']);
+assert.deepEqual(idsOf(forced[0].alternates), ['race']);
+
+fs.writeFileSync(configPath, JSON.stringify({ version: 1, sessionTypes: { x: 'warmup' } }));
+assert.throws(() => loadOverrides({ year: 2026, configPath }), /unknown session type "warmup"/);
+
+fs.rmSync(configDir, { recursive: true, force: true });
+console.log('overrides checks passed');
@@ -0,0 +1,56 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readQuarantine, updateQuarantine } = require('./quarantine');
+const { buildWeekendWindows, groupVideosByCalendarWindow } = require('./calendar-windows');
+
+const aliases = { 'Mexico City Grand Prix': ['Mexican Grand Prix', '#MexicoGP'] };
+const upload = (videoId, title, publishedAt, description = '') => ({
+    id: { videoId },
+    snippet: { title, description, publishedAt, channelId: 'UCB_qr75-ydFVKSF9Dmo6izg', channelTitle: 'FORMULA 1' }
+});
+
+const windows = buildWeekendWindows([
+    { name: 'United States Grand Prix', startDate: '2025-10-17T17:30:00.000Z', sessions: [] },
+    { name: 'Mexico City Grand Prix', startDate: '2025-10-24T18:30:00.000Z', sessions: [] }
+], 2025);
+const late = upload('mx-late', 'Race Highlights | 2025 Mexican Grand Prix', '2025-11-02T10:00:00.000Z', '#F1 #MexicoGP');
+const { groups, unmatched } = groupVideosByCalendarWindow([
+    upload('mx-race', 'Race Highlights | 2025 Mexican Grand Prix', '2025-10-26T22:00:00.000Z'),
+    late
+], windows, { year: 2025, aliases });
+assert.deepEqual(groups[1].videos.map((v) => v.videoId), ['mx-race']);
+assert.deepEqual(unmatched, [late], 'A late upload falls outside every window');
+
+(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+    const filePath = path.join(dir, 'quarantine-2025.json');
+
+    assert.deepEqual(await updateQuarantine({ year: 2025, filePath, aliases }), []);
+    assert.equal(fs.existsSync(filePath), false, 'Nothing to review, nothing written');
+
+    const first = new Date('2025-11-02T12:00:00.000Z');
+    const [entry] = await updateQuarantine({ year: 2025, unmatched, filePath, aliases, now: first });
+    assert.equal(entry.videoId, 'mx-late');
+    assert.equal(entry.suggestedWeekend, 'Mexico City Grand Prix');
+    assert.equal(entry.reason, 'outside every weekend window');
+
+    // Seen again later: the entry keeps its first sighting and the file is left alone
+    const before = fs.readFileSync(filePath, 'utf8');
+    await updateQuarantine({ year: 2025, unmatched, filePath, aliases, now: new Date('2025-11-09T12:00:00.000Z') });
+    assert.equal(fs.readFileSync(filePath, 'utf8'), before);
+    assert.equal((await readQuarantine(filePath)).videos[0].firstSeenAt, first.toISOString());
+
+    // Once the video is in the data (e.g. pinned with curate) it leaves the quarantine
+    const weekends = [{ name: '2025 Mexico City Grand Prix', videos: [{ videoId: 'mx-late' }], extras: [] }];
+    assert.deepEqual(await updateQuarantine({ year: 2025, weekends, filePath, aliases }), []);
+    assert.deepEqual((await readQuarantine(filePath)).videos, []);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('quarantine checks passed');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,28 @@
+const assert = require('node:assert/strict');
+
+const {
+    countryFromLocale,
+    isRestrictedIn,
+    resolveCountry
+} = require('../public/assets/js/region-restriction.js');
+
+assert.equal(countryFromLocale('en-GB'), 'GB');
+assert.equal(countryFromLocale('pt_br'), 'BR');
+assert.equal(countryFromLocale('zh-Hant-TW'), 'TW');
+assert.equal(countryFromLocale('nl'), null);
+assert.equal(countryFromLocale('es-419'), null, 'UN M.49 regions are not countries');
+
+assert.equal(resolveCountry({ selected: 'us', locales: ['en-GB'] }), 'US', 'An explicit pick wins');
+assert.equal(resolveCountry({ selected: '', locales: ['de', 'de-AT'] }), 'AT');
+assert.equal(resolveCountry({ selected: 'auto', locales: ['fr'] }), null);
+
+const allowedOnly = { allowed: ['GB', 'IE'] };
+assert.equal(isRestrictedIn(allowedOnly, 'GB'), false);
+assert.equal(isRestrictedIn(allowedOnly, 'us'), true);
+assert.equal(isRestrictedIn({ allowed: [] }, 'GB'), true, 'An empty allow list blocks everywhere');
+assert.equal(isRestrictedIn({ blocked: ['US', 'CA'] }, 'CA'), true);
+assert.equal(isRestrictedIn({ blocked: ['US', 'CA'] }, 'MX'), false);
+assert.equal(isRestrictedIn(null, 'US'), false);
+assert.equal(isRestrictedIn({ blocked: ['US'] }, null), false, 'Unknown country is never flagged');
+
+console.log('region-restriction checks passed');
@@ -0,0 +1,60 @@
+const assert = require('node:assert/strict');
+
+const {
+    classifySession,
+    getSessionLabel,
+    getSessionOrder,
+    getSessionType
+} = require('../public/assets/js/session-classifier.js');
+const corpus = require('./fixtures/session-titles-2025.json');
+
+// Real upload titles from the 2025 archive.
+corpus.forEach(({ title, type }) => {
+    assert.equal(getSessionType(title), type, `"${title}" should classify as ${type}`);
+});
+
+// Session names as they appear in calendar JSON and ICS feeds.
+const calendarSessions = {
+    FP1: 'fp1',
+    'Practice 2': 'fp2',
+    'Free Practice 3': 'fp3',
+    'Sprint Qualifying': 'sprint-qualifying',
+    'Sprint Shootout': 'sprint-qualifying',
+    Sprint: 'sprint',
+    Qualifying: 'qualifying',
+    'Grand Prix': 'race',
+    Race: 'race'
+};
+Object.entries(calendarSessions).forEach(([title, type]) => {
+    assert.equal(getSessionType(title), type, `Calendar session "${title}" should classify as ${type}`);
+});
+
+assert.equal(getSessionType('Sprint Shootout Highlights | 2023 Austrian Grand Prix'), 'sprint-qualifying');
+assert.deepEqual(classifySession('Race Qualifying Highlights | 2025 Chinese Grand Prix'), {
+    type: 'race-qualifying',
+    label: 'Race Quali',
+    order: 70
+});
+assert.equal(
+    getSessionType('Hamilton On His First Ferrari Weekend | 2025 Australian Grand Prix'),
+    'other',
+    'The event name alone must not make a title a race'
+);
+assert.equal(getSessionType('Embrace The Chaos | 2025 Japanese Grand Prix'), 'other');
+assert.equal(getSessionType(''), 'other');
+assert.equal(getSessionType(null), 'other');
+
+assert.deepEqual(classifySession('Sprint Qualifying Highlights | 2025 Miami Grand Prix'), {
+    type: 'sprint-qualifying',
+    label: 'Sprint Quali',
+    order: 50
+});
+assert.equal(getSessionLabel('race'), 'Race');
+assert.equal(getSessionLabel('unknown'), 'Other');
+
+// Without calendar times, Grand Prix qualifying is listed ahead of the sprint sessions.
+const weekendOrder = ['race', 'race-qualifying', 'fp1', 'qualifying', 'sprint', 'sprint-qualifying']
+    .sort((left, right) => getSessionOrder(left) - getSessionOrder(right));
+assert.deepEqual(weekendOrder, ['fp1', 'qualifying', 'sprint-qualifying', 'sprint', 'race-qualifying', 'race']);
+
+console.log(`session-classifier checks passed (${corpus.length} corpus titles)`);
@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { unavailableReason, verifyAvailability } = require('./verify-availability');
+
+const channels = [{ id: 'UC_F1', priority: 100 }, { id: 'UC_TV', priority: 50 }];
+const video = (videoId, title, extra = {}) => ({
+    videoId,
+    title,
+    publishedAt: '2025-03-16T08:00:00.000Z',
+    channelId: 'UC_F1',
+    ...extra
+});
+
+assert.equal(unavailableReason(undefined), 'not-found');
+assert.equal(unavailableReason({ status: { privacyStatus: 'private', uploadStatus: 'processed' } }), 'private');
+assert.equal(unavailableReason({ status: { privacyStatus: 'public', uploadStatus: 'rejected' } }), 'rejected');
+assert.equal(unavailableReason({ status: { privacyStatus: 'unlisted', uploadStatus: 'processed' } }), null);
+
+const fillers = Array.from({ length: 55 }, (_, i) => video(`onboard${i}`, `Onboard ${i} | 2025 Australian Grand Prix`, {
+    category: 'onboard'
+}));
+const archive = {
+    lastUpdated: '2025-03-17T00:00:00.000Z',
+    totalVideos: 3,
+    grandPrixWeekends: [{
+        name: '2025 Australian Grand Prix',
+        videos: [
+            video('race', 'Race Highlights | 2025 Australian Grand Prix', {
+                alternates: [video('raceTv', 'Race Highlights | Australian GP', { channelId: 'UC_TV' })]
+            }),
+            video('quali', 'Qualifying Highlights | 2025 Australian Grand Prix'),
+            video('fp2', 'FP2 Highlights | 2025 Australian Grand Prix', { viewCount: 1200 }),
+            video('fp1', 'FP1 Highlights | 2025 Australian Grand Prix', {
+                unavailable: true,
+                unavailableAt: '2025-03-20T00:00:00.000Z',
+                unavailableReason: 'not-found'
+            })
+        ],
+        extras: fillers,
+        latestDate: '2025-03-16T08:00:00.000Z'
+    }]
+};
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-availability-'));
+fs.writeFileSync(path.join(dataDir, 'videos-2025.json'), JSON.stringify(archive, null, 2));
+
+const calls = [];
+const yt = {
+    async listVideosByIds(ids, { parts }) {
+        calls.push({ ids, parts });
+        return ids
+            .filter((id) => id !== 'race')
+            .map((id) => ({
+                id,
+                status: { privacyStatus: id === 'quali' ? 'private' : 'public', uploadStatus: 'processed' },
+                statistics: { viewCount: id === 'fp2' ? '98000' : '500' }
+            }));
+    }
+};
+
+(async () => {
+    const now = new Date('2025-04-01T00:00:00.000Z');
+    const report = await verifyAvailability({ yt, year: 2025, channels, dataDir, now });
+
+    assert.deepEqual(calls.map((call) => call.ids.length), [50, 10], 'ids are checked 50 at a time');
+    assert.deepEqual(calls[0].parts, ['status', 'statistics']);
+    assert.equal(report.checked, 60);
+    assert.equal(report.viewCountsRefreshed, 59, 'every returned id gets a current view count');
+    assert.equal(report.unavailable, 2);
+
+    const byId = new Map(report.changes.map((change) => [change.videoId, change]));
+    assert.deepEqual(byId.get('race'), {
+        videoId: 'race',
+        title: 'Race Highlights | 2025 Australian Grand Prix',
+        status: 'unavailable',
+        reason: 'not-found',
+        weekend: '2025 Australian Grand Prix',
+        action: 'swapped',
+        replacement: 'raceTv'
+    });
+    assert.equal(byId.get('quali').action, 'hidden');
+    assert.equal(byId.get('quali').reason, 'private');
+    assert.equal(byId.get('fp1').status, 'restored');
+    assert.equal(report.changes.length, 3);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'videos-2025.json'), 'utf8'));
+    const videos = saved.grandPrixWeekends[0].videos;
+    const race = videos.find((v) => v.videoId === 'raceTv');
+    assert.ok(race && !race.unavailable, 'the alternate is now the session video');
+    assert.deepEqual(race.alternates.map((v) => [v.videoId, v.unavailable, v.unavailableAt]), [
+        ['race', true, now.toISOString()]
+    ]);
+    assert.equal(videos.find((v) => v.videoId === 'quali').unavailableReason, 'private');
+    assert.equal(videos.find((v) => v.videoId === 'fp1').unavailable, undefined);
+    assert.equal(videos.find((v) => v.videoId === 'fp2').viewCount, 98000, 'views from the first hours are replaced');
+
+    // A second sweep with nothing new leaves the file untouched
+    const before = fs.readFileSync(path.join(dataDir, 'videos-2025.json'), 'utf8');
+    const again = await verifyAvailability({ yt, year: 2025, channels, dataDir, now: new Date('2025-04-08T00:00:00.000Z') });
+    assert.equal(again.changes.length, 0);
+    assert.equal(again.viewCountsRefreshed, 0);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'videos-2025.json'), 'utf8'), before);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log('verify-availability checks passed');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
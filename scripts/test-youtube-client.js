@@ -0,0 +1,134 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { YouTubeClient, QUOTA_COSTS, cacheKey } = require('./youtube-client');
+const { enrichVideoDetails, parseIsoDuration, toVideoDetails } = require('./video-details');
+
+const ETAG = '"page-1-v1"';
+const requests = [];
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ endpoint: url.pathname.slice(1), ifNoneMatch: req.headers['if-none-match'] || null });
+
+    if (url.pathname === '/channels') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ items: [{ contentDetails: { relatedPlaylists: { uploads: 'UU123' } } }] }));
+        return;
+    }
+    if (url.pathname === '/playlistItems') {
+        if (req.headers['if-none-match'] === ETAG) {
+            res.writeHead(304, { ETag: ETAG });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json', ETag: ETAG });
+        res.end(JSON.stringify({ items: [{ contentDetails: { videoId: 'abc' } }], nextPageToken: null }));
+        return;
+    }
+    res.writeHead(404);
+    res.end();
+});
+
+async function main() {
+    assert.equal(parseIsoDuration('PT7M30S'), 450);
+    assert.equal(parseIsoDuration('PT1H2M3S'), 3723);
+    assert.equal(parseIsoDuration('P0D'), 0);
+    assert.equal(parseIsoDuration('soon'), null);
+    assert.deepEqual(
+        toVideoDetails({ contentDetails: { duration: 'PT59S', definition: 'hd' }, statistics: { viewCount: '1200' } }),
+        { durationSeconds: 59, viewCount: 1200, definition: 'hd', regionRestriction: null }
+    );
+    assert.deepEqual(
+        toVideoDetails({ contentDetails: { duration: 'PT1M', regionRestriction: { blocked: ['US'] } } }).regionRestriction,
+        { blocked: ['US'] }
+    );
+
+
+    // Ids videos.list leaves out are marked as looked up rather than asked for on every run
+    const lookups = [];
+    const detailsYt = {
+        async listVideosByIds(ids) {
+            lookups.push(ids);
+            return ids.filter((id) => id !== 'gone').map((id) => ({ id, contentDetails: { duration: 'PT2M' } }));
+        }
+    };
+    const stored = [{ videoId: 'kept' }, { videoId: 'gone' }];
+    assert.deepEqual(await enrichVideoDetails(detailsYt, stored), { requested: 2, enriched: 1 });
+    assert.deepEqual(stored[1], { videoId: 'gone', durationSeconds: null, viewCount: null, definition: null, regionRestriction: null });
+    assert.deepEqual(await enrichVideoDetails(detailsYt, stored), { requested: 0, enriched: 0 });
+    assert.equal(lookups.length, 1);
+
+    assert.equal(
+        cacheKey('playlistItems', { key: 'secret', playlistId: 'UU1', pageToken: undefined, maxResults: 50 }),
+        cacheKey('playlistItems', { maxResults: 50, playlistId: 'UU1' }),
+        'Cache keys ignore the API key, unset params and param order'
+    );
+    assert.notEqual(cacheKey('playlistItems', { playlistId: 'UU1' }), cacheKey('playlistItems', { playlistId: 'UU2' }));
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-cache-'));
+
+    try {
+        const first = new YouTubeClient({ apiKey: 'test', baseUrl, cacheDir, maxRetries: 0 });
+        assert.equal(await first.getUploadsPlaylistId('UC1'), 'UU123');
+        assert.deepEqual((await first.listPlaylistItems({ playlistId: 'UU123' })).items, [{ contentDetails: { videoId: 'abc' } }]);
+        assert.equal(first.getUsageSummary().apiCalls, 2);
+        assert.equal(first.getUsageSummary().cacheHits, 0);
+
+        // A later run: the channel lookup never leaves disk, the page is revalidated.
+        const second = new YouTubeClient({ apiKey: 'test', baseUrl, cacheDir, cacheTtlMs: 0, maxRetries: 0 });
+        assert.equal(await second.getUploadsPlaylistId('UC1'), 'UU123');
+        assert.deepEqual((await second.listPlaylistItems({ playlistId: 'UU123' })).items, [{ contentDetails: { videoId: 'abc' } }]);
+        const usage = second.getUsageSummary();
+        assert.equal(usage.apiCalls, 1);
+        assert.equal(usage.cacheHits, 1);
+        assert.equal(usage.notModified, 1);
+        assert.deepEqual(requests.slice(2), [{ endpoint: 'playlistItems', ifNoneMatch: ETAG }]);
+
+        // Without a cache directory every call goes to the network.
+        const uncached = new YouTubeClient({ apiKey: 'test', baseUrl, maxRetries: 0 });
+        await uncached.getUploadsPlaylistId('UC1');
+        await uncached.getUploadsPlaylistId('UC1');
+        assert.equal(uncached.getUsageSummary().apiCalls, 2);
+        assert.equal(requests.at(-1).ifNoneMatch, null);
+
+        // Budgeted runs stop before the call that would overrun, and report units spent.
+        const reportPath = path.join(cacheDir, 'usage.jsonl');
+        const budgeted = new YouTubeClient({ apiKey: 'test', baseUrl, quotaBudget: 2, usageReportPath: reportPath, maxRetries: 0 });
+        await budgeted.listPlaylistItems({ playlistId: 'UU123' });
+        await budgeted.getUploadsPlaylistId('UC1');
+        const before = requests.length;
+        await assert.rejects(
+            budgeted.getUploadsPlaylistId('UC1'),
+            (err) => err.code === 'YT_QUOTA_BUDGET_EXCEEDED' && /2 of 2 already spent/.test(err.message)
+        );
+        assert.equal(requests.length, before, 'The over-budget call never reaches the network');
+
+        await budgeted.writeUsageReport({ script: 'test' });
+        const [line] = fs.readFileSync(reportPath, 'utf8').trim().split('\n').map((row) => JSON.parse(row));
+        assert.equal(line.script, 'test');
+        assert.equal(line.quotaUnits, 2);
+        assert.equal(line.quotaBudget, 2);
+        assert.deepEqual(line.byEndpoint.map(({ endpoint, units }) => [endpoint, units]), [['playlistItems', 1], ['channels', 1]]);
+        assert.equal(QUOTA_COSTS.search, 100);
+
+        assert.throws(() => new YouTubeClient({ apiKey: 'test', cassette: 'rewind' }), /Unknown YT_CASSETTE mode/);
+        const emptyReplay = new YouTubeClient({ cassette: 'replay', cassetteDir: path.join(cacheDir, 'none') });
+        await assert.rejects(emptyReplay.getUploadsPlaylistId('UC1'), /No cassette entry for channels/);
+    } finally {
+        server.close();
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+
+    console.log('youtube-client checks passed');
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
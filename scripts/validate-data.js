@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { artifactTypeForFile, validateArtifact } = require('./data-schemas');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'public', 'data');
+
+function validateDataDir(dir) {
+    const results = [];
+    for (const file of fs.readdirSync(dir).sort()) {
+        const type = artifactTypeForFile(file);
+        if (!type) continue;
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (err) {
+            results.push({ file, type, valid: false, errors: [`unreadable JSON: ${err.message}`] });
+            continue;
+        }
+        results.push({ file, type, ...validateArtifact(type, data) });
+    }
+    return results;
+}
+
+function main() {
+    const results = validateDataDir(dataDir);
+    if (!results.length) {
+        console.log(`No data artifacts found in ${dataDir}`);
+        return;
+    }
+
+    let failed = 0;
+    for (const result of results) {
+        if (result.valid) {
+            console.log(`✅ ${result.file} (${result.type})`);
+            continue;
+        }
+        failed += 1;
+        console.error(`❌ ${result.file} (${result.type})`);
+        result.errors.forEach((error) => console.error(`   ${error}`));
+    }
+
+    if (failed) {
+        console.error(`${failed} of ${results.length} data files failed validation`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`All ${results.length} data files match their schemas`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { validateDataDir };
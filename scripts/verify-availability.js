@@ -0,0 +1,225 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { YouTubeClient } = require('./youtube-client');
+const { loadChannels, selectPrimaryVideos } = require('./channels');
+const { loadOverrides } = require('./overrides');
+const { artifactTypeForFile, assertValidArtifact, SCHEMA_VERSION } = require('./data-schemas');
+const { writeJsonAtomic } = require('./data-guard');
+const { toVideoDetails } = require('./video-details');
+
+const BATCH_SIZE = 50;
+const FAILED_UPLOAD_STATUSES = new Set(['deleted', 'failed', 'rejected']);
+
+function parseYearArg(argv = process.argv.slice(2)) {
+    const index = argv.findIndex((arg) => arg === '--year' || arg.startsWith('--year='));
+    if (index === -1) return null;
+    const arg = argv[index];
+    return arg.includes('=') ? arg.split('=')[1] : argv[index + 1] || null;
+}
+
+/**
+ * Why a videos.list item can no longer be watched, or null if it can. videos.list
+ * leaves out removed and private videos alike, so a missing item is `not-found`.
+ */
+function unavailableReason(item) {
+    if (!item) return 'not-found';
+    if (item.status?.privacyStatus === 'private') return 'private';
+    if (FAILED_UPLOAD_STATUSES.has(item.status?.uploadStatus)) return item.status.uploadStatus;
+    return null;
+}
+
+/** Every stored record per videoId: session videos, their alternates and extras. */
+function collectRecords(weekends) {
+    const byId = new Map();
+    const add = (video) => {
+        if (!video?.videoId) return;
+        if (!byId.has(video.videoId)) byId.set(video.videoId, []);
+        byId.get(video.videoId).push(video);
+    };
+    for (const gp of weekends || []) {
+        for (const video of gp?.videos || []) {
+            add(video);
+            (video.alternates || []).forEach(add);
+        }
+        (gp?.extras || []).forEach(add);
+    }
+    return byId;
+}
+
+/**
+ * Re-check every archived id through videos.list, 50 per call, and flag records in
+ * place: `unavailable`, `unavailableAt` and `unavailableReason` are set when a video
+ * disappears and cleared again if it comes back. The same calls bring back view
+ * counts, so `viewCount` is brought up to date too (`refreshed` counts those ids).
+ * Returns one entry per id whose availability changed.
+ */
+async function checkAvailability(yt, weekends, { now = new Date() } = {}) {
+    const byId = collectRecords(weekends);
+    const ids = Array.from(byId.keys());
+    const changes = [];
+    let refreshed = 0;
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batch = ids.slice(i, i + BATCH_SIZE);
+        const items = await yt.listVideosByIds(batch, { parts: ['status', 'statistics'] });
+        const itemsById = new Map(items.map((item) => [item?.id, item]));
+
+        for (const videoId of batch) {
+            const records = byId.get(videoId);
+            const item = itemsById.get(videoId);
+            const reason = unavailableReason(item);
+            const wasUnavailable = records.some((record) => record.unavailable);
+
+            if (reason && (!wasUnavailable || records[0].unavailableReason !== reason)) {
+                const unavailableAt = records[0].unavailableAt || now.toISOString();
+                records.forEach((record) => Object.assign(record, { unavailable: true, unavailableAt, unavailableReason: reason }));
+                changes.push({ videoId, title: records[0].title || '', status: 'unavailable', reason });
+            } else if (!reason && wasUnavailable) {
+                records.forEach((record) => {
+                    delete record.unavailable;
+                    delete record.unavailableAt;
+                    delete record.unavailableReason;
+                });
+                changes.push({ videoId, title: records[0].title || '', status: 'restored', reason: null });
+            }
+
+            const { viewCount } = toVideoDetails(item);
+            if (viewCount !== null && records.some((record) => record.viewCount !== viewCount)) {
+                records.forEach((record) => { record.viewCount = viewCount; });
+                refreshed += 1;
+            }
+        }
+    }
+
+    return { checked: ids.length, changes, refreshed };
+}
+
+/**
+ * Swap watchable alternates in for unavailable session videos and describe what
+ * the site will now do with each changed id: `swapped` (with its `replacement`),
+ * `hidden`, or `restored`. `preferred` is the overrides file's forced primaries.
+ */
+function applyAvailability(weekends, channels, changes, { preferred = [] } = {}) {
+    const changedIds = new Set(changes.map((change) => change.videoId));
+    const outcomes = new Map();
+
+    for (const gp of weekends || []) {
+        if (!Array.isArray(gp?.videos)) continue;
+        const before = new Set(gp.videos.map((video) => video.videoId));
+        gp.videos = selectPrimaryVideos(gp.videos, channels, { preferred });
+
+        for (const video of gp.videos) {
+            for (const alternate of video.alternates || []) {
+                if (changedIds.has(alternate.videoId) && before.has(alternate.videoId) && !video.unavailable) {
+                    outcomes.set(alternate.videoId, { weekend: gp.name, action: 'swapped', replacement: video.videoId });
+                }
+            }
+        }
+        for (const video of [...gp.videos.flatMap((v) => [v, ...(v.alternates || [])]), ...(gp.extras || [])]) {
+            if (!changedIds.has(video.videoId) || outcomes.has(video.videoId)) continue;
+            outcomes.set(video.videoId, { weekend: gp.name, action: video.unavailable ? 'hidden' : 'restored' });
+        }
+    }
+
+    return changes.map((change) => ({ ...change, ...(outcomes.get(change.videoId) || { action: 'hidden' }) }));
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`Failed to read ${filePath}: ${err.message}`);
+    }
+}
+
+/**
+ * Verify the season archive and the homepage feed together so both agree on
+ * which videos are gone. Files are only rewritten when something changed.
+ */
+async function verifyAvailability({ yt, year, channels, dataDir, preferred = [], now = new Date() }) {
+    const files = [path.join(dataDir, `videos-${year}.json`), path.join(dataDir, 'videos.json')];
+    const datasets = [];
+    for (const file of files) {
+        const data = await readJson(file);
+        if (data && Array.isArray(data.grandPrixWeekends)) datasets.push({ file, data });
+    }
+    if (datasets.length === 0) {
+        throw new Error(`No video data to verify in ${dataDir} (expected videos-${year}.json)`);
+    }
+
+    const weekends = datasets.flatMap(({ data }) => data.grandPrixWeekends);
+    const { checked, changes, refreshed } = await checkAvailability(yt, weekends, { now });
+
+    // The season archive comes first and holds every weekend, so its outcomes make the report.
+    const outcomes = [];
+    if (changes.length > 0 || refreshed > 0) {
+        const outputs = datasets.map(({ file, data }) => {
+            if (changes.length > 0) outcomes.push(applyAvailability(data.grandPrixWeekends, channels, changes, { preferred }));
+            const output = { schemaVersion: SCHEMA_VERSION, ...data };
+            assertValidArtifact(artifactTypeForFile(file), output, path.basename(file));
+            return { file, output };
+        });
+        // Flagging keeps every record, so there is nothing for the shrink guard to catch here
+        for (const { file, output } of outputs) {
+            await writeJsonAtomic(file, output);
+        }
+    }
+
+    return {
+        checkedAt: now.toISOString(),
+        year: Number(year),
+        checked,
+        viewCountsRefreshed: refreshed,
+        unavailable: Array.from(collectRecords(weekends).values()).filter((records) => records[0].unavailable).length,
+        changes: outcomes[0] || []
+    };
+}
+
+async function main() {
+    const year = parseInt(parseYearArg() || process.env.TARGET_YEAR || new Date().getUTCFullYear(), 10);
+    const clientOptions = YouTubeClient.optionsFromEnv();
+    const apiKey = process.env.YOUTUBE_API_KEY;
+    if (!apiKey && clientOptions.cassette !== 'replay') {
+        throw new Error('YouTube API key not found. Please set YOUTUBE_API_KEY environment variable.');
+    }
+
+    const yt = new YouTubeClient({ apiKey, ...clientOptions });
+    const reportPath = process.env.AVAILABILITY_REPORT ||
+        path.join(process.cwd(), 'reports', `availability-${year}.json`);
+
+    try {
+        console.log(`🔍 Verifying ${year} videos are still available on YouTube...`);
+        const report = await verifyAvailability({
+            yt,
+            year,
+            channels: loadChannels({ year }),
+            preferred: loadOverrides({ year }).primary,
+            dataDir: path.join(process.cwd(), 'public', 'data')
+        });
+
+        await fs.mkdir(path.dirname(reportPath), { recursive: true });
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + '\n');
+
+        console.log(`Checked ${report.checked} video(s); ${report.unavailable} currently unavailable, ${report.viewCountsRefreshed} view count(s) refreshed.`);
+        report.changes.forEach((change) => {
+            const detail = change.status === 'restored'
+                ? 'available again'
+                : `${change.reason}, ${change.action}${change.replacement ? ` -> ${change.replacement}` : ''}`;
+            console.log(`  - ${change.videoId} (${change.weekend || 'unknown weekend'}): ${detail} :: ${change.title}`);
+        });
+        console.log(`📝 Report written to ${reportPath}`);
+        return report;
+    } finally {
+        await yt.writeUsageReport({ script: 'verify-availability', year });
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('❌ Availability check failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { applyAvailability, checkAvailability, collectRecords, unavailableReason, verifyAvailability };
@@ -0,0 +1,54 @@
+const BATCH_SIZE = 50;
+
+// ISO 8601 durations from contentDetails.duration, e.g. PT1H2M3S or P0D for live placeholders.
+function parseIsoDuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || ''));
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map((part) => Number(part) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+function toVideoDetails(item) {
+    const viewCount = Number(item?.statistics?.viewCount);
+    return {
+        durationSeconds: parseIsoDuration(item?.contentDetails?.duration),
+        viewCount: Number.isFinite(viewCount) ? viewCount : null,
+        definition: item?.contentDetails?.definition || null,
+        // { allowed: [...] } or { blocked: [...] } ISO 3166-1 alpha-2 codes; null when playable everywhere
+        regionRestriction: item?.contentDetails?.regionRestriction || null
+    };
+}
+
+/**
+ * Fill in durationSeconds, viewCount, definition and regionRestriction on stored video
+ * records ({ videoId, title, ... }) that do not have them yet, 50 ids per videos.list call.
+ * Records are updated in place. Ids YouTube does not return get null details so they are
+ * not asked for again; the weekly availability sweep keeps viewCount current.
+ */
+async function enrichVideoDetails(yt, videos) {
+    const byId = new Map();
+    for (const video of videos || []) {
+        if (!video?.videoId) continue;
+        if (video.durationSeconds !== undefined && video.regionRestriction !== undefined) continue;
+        if (!byId.has(video.videoId)) byId.set(video.videoId, []);
+        byId.get(video.videoId).push(video);
+    }
+
+    const ids = Array.from(byId.keys());
+    let enriched = 0;
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batch = ids.slice(i, i + BATCH_SIZE);
+        const items = await yt.listVideosByIds(batch, { parts: ['contentDetails', 'statistics'] });
+        const itemsById = new Map(items.map((item) => [item?.id, item]));
+        for (const videoId of batch) {
+            const item = itemsById.get(videoId);
+            const details = toVideoDetails(item);
+            byId.get(videoId).forEach((record) => Object.assign(record, details));
+            if (item) enriched += 1;
+        }
+    }
+
+    return { requested: ids.length, enriched };
+}
+
+module.exports = { enrichVideoDetails, parseIsoDuration, toVideoDetails };
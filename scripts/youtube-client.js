@@ -1,4 +1,7 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -14,6 +17,37 @@ function getGoogleApiMessage(err) {
   return err?.response?.data?.error?.message || err?.message || 'Unknown error';
 }
 
+// Quota units billed per call (https://developers.google.com/youtube/v3/determine_quota_cost).
+const QUOTA_COSTS = {
+  channels: 1,
+  playlistItems: 1,
+  videos: 1,
+  search: 100,
+};
+
+function quotaCost(endpoint) {
+  return QUOTA_COSTS[endpoint] || 1;
+}
+
+const VIDEO_PART_FIELDS = {
+  snippet: 'snippet(title,description,publishedAt,thumbnails)',
+  contentDetails: 'contentDetails(duration,definition,regionRestriction)',
+  statistics: 'statistics(viewCount)',
+  status: 'status(privacyStatus,uploadStatus)',
+};
+
+const CASSETTE_MODES = new Set(['record', 'replay']);
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, 'fixtures', 'youtube-cassette');
+
+// Content address for a response: endpoint plus params in a stable order, never the API key.
+function cacheKey(endpoint, params) {
+  const stable = Object.keys(params || {})
+    .filter((name) => name !== 'key' && params[name] !== undefined && params[name] !== null)
+    .sort()
+    .map((name) => [name, String(params[name])]);
+  return crypto.createHash('sha256').update(JSON.stringify([endpoint, stable])).digest('hex');
+}
+
 class YouTubeClient {
   constructor({
     apiKey,
@@ -23,8 +57,17 @@ class YouTubeClient {
     maxResponseBytes = 5 * 1024 * 1024,
     maxRetries = 5,
     retryBaseDelayMs = 500,
+    cacheDir = null,
+    cacheTtlMs = 60 * 60 * 1000,
+    quotaBudget = null,
+    usageReportPath = null,
+    cassette = null,
+    cassetteDir = DEFAULT_CASSETTE_DIR,
   }) {
-    if (!apiKey) {
+    if (cassette && !CASSETTE_MODES.has(cassette)) {
+      throw new Error(`Unknown YT_CASSETTE mode "${cassette}"; expected record or replay`);
+    }
+    if (!apiKey && cassette !== 'replay') {
       throw new Error('YouTube API key not found. Please set YOUTUBE_API_KEY environment variable.');
     }
 
@@ -35,27 +78,113 @@ class YouTubeClient {
     this.maxResponseBytes = maxResponseBytes;
     this.maxRetries = maxRetries;
     this.retryBaseDelayMs = retryBaseDelayMs;
+    // Cassettes must see every request, so the response cache is off while one is in use.
+    this.cacheDir = cassette ? null : cacheDir;
+    this.cacheTtlMs = cacheTtlMs;
+    this.quotaBudget = quotaBudget;
+    this.usageReportPath = usageReportPath;
+    this.cassette = cassette;
+    this.cassetteDir = cassetteDir;
 
     this.callCount = 0;
+    this.quotaUnits = 0;
     this.endpointCounts = new Map();
+    this.endpointUnits = new Map();
+    this.cacheHits = 0;
+    this.notModified = 0;
+  }
+
+  /** Client options read from YT_* environment variables, shared by the fetch scripts. */
+  static optionsFromEnv(env = process.env) {
+    return {
+      baseUrl: env.YT_BASE_URL || undefined,
+      requestDelayMs: parseInt(env.YT_REQUEST_DELAY_MS || '0', 10),
+      cacheDir: env.YT_CACHE_DIR || null, // on-disk response cache (off when unset)
+      cacheTtlMs: parseInt(env.YT_CACHE_TTL_MS || '3600000', 10),
+      quotaBudget: env.YT_QUOTA_BUDGET ? parseInt(env.YT_QUOTA_BUDGET, 10) : null,
+      usageReportPath: env.YT_USAGE_REPORT || null,
+      cassette: env.YT_CASSETTE || null,
+      cassetteDir: env.YT_CASSETTE_DIR || DEFAULT_CASSETTE_DIR,
+    };
   }
 
   recordCall(endpoint) {
+    const units = quotaCost(endpoint);
     this.callCount += 1;
+    this.quotaUnits += units;
     this.endpointCounts.set(endpoint, (this.endpointCounts.get(endpoint) || 0) + 1);
+    this.endpointUnits.set(endpoint, (this.endpointUnits.get(endpoint) || 0) + units);
+  }
+
+  // Refuse a call that would overrun the budget, before Google gets the chance to.
+  assertWithinBudget(endpoint) {
+    if (this.quotaBudget === null || this.quotaBudget === undefined) return;
+    const units = quotaCost(endpoint);
+    if (this.quotaUnits + units > this.quotaBudget) {
+      const err = new Error(
+        `YouTube quota budget exceeded: ${endpoint} costs ${units} unit(s), ` +
+        `${this.quotaUnits} of ${this.quotaBudget} already spent (YT_QUOTA_BUDGET)`
+      );
+      err.code = 'YT_QUOTA_BUDGET_EXCEEDED';
+      throw err;
+    }
   }
 
   getUsageSummary() {
     const byEndpoint = Array.from(this.endpointCounts.entries())
       .sort((a, b) => b[1] - a[1])
-      .map(([endpoint, count]) => ({ endpoint, count }));
+      .map(([endpoint, count]) => ({ endpoint, count, units: this.endpointUnits.get(endpoint) || 0 }));
 
     return {
       apiCalls: this.callCount,
+      quotaUnits: this.quotaUnits,
+      quotaBudget: this.quotaBudget,
+      cacheHits: this.cacheHits,
+      notModified: this.notModified,
       byEndpoint,
     };
   }
 
+  /**
+   * Append this run's usage as one JSON line to usageReportPath (no-op when unset),
+   * so runs across a race weekend can be compared.
+   */
+  async writeUsageReport(meta = {}) {
+    if (!this.usageReportPath) return null;
+    const entry = { recordedAt: new Date().toISOString(), ...meta, ...this.getUsageSummary() };
+    try {
+      await fs.mkdir(path.dirname(this.usageReportPath), { recursive: true });
+      await fs.appendFile(this.usageReportPath, `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+      console.warn(`Failed to write YouTube usage report to ${this.usageReportPath}: ${err.message}`);
+    }
+    return entry;
+  }
+
+  cachePath(endpoint, params) {
+    return path.join(this.cacheDir, `${cacheKey(endpoint, params)}.json`);
+  }
+
+  async readCache(endpoint, params) {
+    if (!this.cacheDir) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.cachePath(endpoint, params), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async writeCache(endpoint, params, entry) {
+    if (!this.cacheDir) return;
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      await fs.writeFile(this.cachePath(endpoint, params), JSON.stringify(entry));
+    } catch (err) {
+      // A cache that cannot be written only costs quota; never fail the fetch for it.
+      console.warn(`YouTube cache write failed for ${endpoint}: ${err.message}`);
+    }
+  }
+
   isQuotaExhausted(err) {
     const reason = getPrimaryGoogleApiReason(err);
     return reason === 'quotaExceeded' || reason === 'dailyLimitExceeded';
@@ -79,21 +208,92 @@ class YouTubeClient {
     return false;
   }
 
-  async request(endpoint, params, { attempt = 0 } = {}) {
+  cassettePath(endpoint, params) {
+    return path.join(this.cassetteDir, `${endpoint}-${cacheKey(endpoint, params)}.json`);
+  }
+
+  async replayCassette(endpoint, params) {
+    const file = this.cassettePath(endpoint, params);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      throw new Error(
+        `No cassette entry for ${endpoint} ${JSON.stringify(params)} at ${file}; record one with YT_CASSETTE=record`
+      );
+    }
+    return { status: entry.status, headers: entry.etag ? { etag: entry.etag } : {}, data: entry.data };
+  }
+
+  async recordCassette(endpoint, params, res) {
+    const entry = {
+      endpoint,
+      params,
+      status: res.status,
+      etag: res.headers?.etag || null,
+      data: res.data,
+    };
+    await fs.mkdir(this.cassetteDir, { recursive: true });
+    await fs.writeFile(this.cassettePath(endpoint, params), `${JSON.stringify(entry, null, 2)}\n`);
+  }
+
+  /**
+   * GET an endpoint. With a cacheDir, `cache` picks the policy:
+   * - 'ttl' (default): reuse a stored response younger than cacheTtlMs
+   * - 'forever': reuse any stored response
+   * - 'revalidate': always ask, sending If-None-Match with the stored ETag
+   */
+  async request(endpoint, params, { cache = 'ttl' } = {}) {
+    const cached = await this.readCache(endpoint, params);
+
+    if (cached && cache !== 'revalidate') {
+      const age = Date.now() - Date.parse(cached.storedAt);
+      if (cache === 'forever' || age < this.cacheTtlMs) {
+        this.cacheHits += 1;
+        return cached.data;
+      }
+    }
+
+    const etag = cached?.etag || null;
+    const res = await this.fetch(endpoint, params, { etag });
+
+    if (res.status === 304 && cached) {
+      this.notModified += 1;
+      await this.writeCache(endpoint, params, { ...cached, storedAt: new Date().toISOString() });
+      return cached.data;
+    }
+
+    await this.writeCache(endpoint, params, {
+      endpoint,
+      etag: res.headers?.etag || res.data?.etag || null,
+      storedAt: new Date().toISOString(),
+      data: res.data,
+    });
+    return res.data;
+  }
+
+  async fetch(endpoint, params, { etag = null, attempt = 0 } = {}) {
     if (this.requestDelayMs > 0) {
       await sleep(this.requestDelayMs);
     }
 
+    this.assertWithinBudget(endpoint);
     this.recordCall(endpoint);
 
+    if (this.cassette === 'replay') {
+      return this.replayCassette(endpoint, params);
+    }
+
+    let res;
     try {
-      const res = await axios.get(`${this.baseUrl}/${endpoint}`, {
+      res = await axios.get(`${this.baseUrl}/${endpoint}`, {
         params: { key: this.apiKey, ...params },
+        headers: etag ? { 'If-None-Match': etag } : undefined,
+        validateStatus: (status) => (status >= 200 && status < 300) || (etag && status === 304),
         timeout: this.timeoutMs,
         maxContentLength: this.maxResponseBytes,
         maxBodyLength: this.maxResponseBytes,
       });
-      return res.data;
     } catch (err) {
       if (this.isQuotaExhausted(err)) {
         const reason = getPrimaryGoogleApiReason(err);
@@ -112,8 +312,13 @@ class YouTubeClient {
       const backoff = this.retryBaseDelayMs * Math.pow(2, attempt);
       const jitter = Math.floor(Math.random() * 250);
       await sleep(backoff + jitter);
-      return this.request(endpoint, params, { attempt: attempt + 1 });
+      return this.fetch(endpoint, params, { etag, attempt: attempt + 1 });
+    }
+
+    if (this.cassette === 'record') {
+      await this.recordCassette(endpoint, params, res);
     }
+    return res;
   }
 
   async getUploadsPlaylistId(channelId) {
@@ -122,7 +327,7 @@ class YouTubeClient {
       id: channelId,
       fields: 'items(contentDetails/relatedPlaylists/uploads)',
       maxResults: 1,
-    });
+    }, { cache: 'forever' });
 
     const uploads = data?.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
     if (!uploads) {
@@ -139,7 +344,7 @@ class YouTubeClient {
       pageToken: pageToken || undefined,
       fields:
         'nextPageToken,items(snippet(title,description,thumbnails,resourceId/videoId),contentDetails(videoId,videoPublishedAt))',
-    });
+    }, { cache: 'revalidate' });
 
     return {
       items: Array.isArray(data?.items) ? data.items : [],
@@ -147,17 +352,22 @@ class YouTubeClient {
     };
   }
 
-  async listVideosByIds(videoIds) {
+  async listVideosByIds(videoIds, { parts = ['snippet'] } = {}) {
     const ids = (videoIds || []).filter(Boolean);
     if (ids.length === 0) return [];
     if (ids.length > 50) {
       throw new Error(`videos.list supports up to 50 ids per call; got ${ids.length}`);
     }
+    const unknown = parts.filter((part) => !VIDEO_PART_FIELDS[part]);
+    if (unknown.length) {
+      throw new Error(`Unsupported videos.list part(s): ${unknown.join(', ')}`);
+    }
 
+    // videos.list costs one unit whatever the parts, so ask for everything needed at once.
     const data = await this.request('videos', {
-      part: 'snippet',
+      part: parts.join(','),
       id: ids.join(','),
-      fields: 'items(id,snippet(title,description,publishedAt,thumbnails))',
+      fields: `items(id,${parts.map((part) => VIDEO_PART_FIELDS[part]).join(',')})`,
       maxResults: 50,
     });
 
@@ -165,6 +375,6 @@ class YouTubeClient {
   }
 }
 
-module.exports = { YouTubeClient };
+module.exports = { YouTubeClient, QUOTA_COSTS, cacheKey };
 
 